@@ -0,0 +1,192 @@
+const { createStore } = require('./store');
+const { validateSendingWindow } = require('./sending_window');
+const { validateTemplate } = require('./message_template');
+const { SUPPORTED_LANGUAGES, normalizeLanguage } = require('./notification_phrases');
+const { DEFAULT_FILTERS, validateFilters, normalizeFilters } = require('./follower_filters');
+
+// Per-account settings, keyed by lowercase account username
+const settingsStore = createStore(process.env.ACCOUNT_SETTINGS_COLLECTION || 'account_settings');
+const accountSettings = new Map();
+
+// Defaults for accounts without their own policy
+const DEFAULT_RATE_LIMITS = {
+    minDelaySeconds: 30,
+    maxDelaySeconds: 60,
+    maxPerHour: Number(process.env.DEFAULT_MAX_DMS_PER_HOUR) || null,
+    maxPerDay: Number(process.env.DEFAULT_MAX_DMS_PER_DAY) || null
+};
+
+/**
+ * Check that the changes to a settings group are a plain object with only known keys; returns an error message or null
+ */
+function validateGroupChanges(name, changes, defaults) {
+    if (!changes || typeof changes !== 'object' || Object.getPrototypeOf(changes) !== Object.prototype) {
+        return `${name} must be an object`;
+    }
+    const unknownKeys = Object.keys(changes).filter(key => !Object.prototype.hasOwnProperty.call(defaults, key));
+    if (unknownKeys.length > 0) {
+        return `Unknown ${name} keys: ${unknownKeys.join(', ')}. Available: ${Object.keys(defaults).join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Validate a rate limit policy; returns an error message or null
+ */
+function validateRateLimits(rateLimits) {
+    const fields = ['minDelaySeconds', 'maxDelaySeconds', 'maxPerHour', 'maxPerDay'];
+
+    for (const field of fields) {
+        const value = rateLimits[field];
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            return `rateLimits.${field} must be a non-negative number or null`;
+        }
+    }
+    if (rateLimits.minDelaySeconds === null || rateLimits.maxDelaySeconds === null) {
+        return 'rateLimits.minDelaySeconds and rateLimits.maxDelaySeconds are required';
+    }
+    if (rateLimits.minDelaySeconds > rateLimits.maxDelaySeconds) {
+        return 'rateLimits.minDelaySeconds cannot be greater than rateLimits.maxDelaySeconds';
+    }
+    return null;
+}
+
+// Longest drip sequence an account can configure, after the welcome message
+const MAX_FOLLOW_UPS = 5;
+
+/**
+ * Validate drip sequence follow-ups; returns an error message or null
+ */
+function validateFollowUps(followUps) {
+    if (!Array.isArray(followUps) || followUps.length > MAX_FOLLOW_UPS) {
+        return `followUps must be an array of at most ${MAX_FOLLOW_UPS} steps`;
+    }
+
+    for (const [index, step] of followUps.entries()) {
+        if (!step || typeof step.delayDays !== 'number' || !Number.isFinite(step.delayDays) || step.delayDays <= 0) {
+            return `followUps[${index}].delayDays must be a positive number of days`;
+        }
+        if (!step.message || typeof step.message !== 'string') {
+            return `followUps[${index}].message is required`;
+        }
+        const templateError = validateTemplate(step.message);
+        if (templateError) {
+            return `followUps[${index}]: ${templateError}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Load persisted account settings
+ */
+async function init() {
+    const records = await settingsStore.load();
+    records.forEach(record => accountSettings.set(record.id, record));
+
+    console.log(`Loaded settings for ${records.length} accounts from ${settingsStore.backend} store`);
+}
+
+/**
+ * Get an account's settings merged with the defaults
+ */
+function getAccountSettings(account) {
+    const stored = accountSettings.get(account.toLowerCase()) || {};
+
+    return {
+        account: stored.account || account,
+        rateLimits: { ...DEFAULT_RATE_LIMITS, ...stored.rateLimits },
+        sendingWindow: stored.sendingWindow || null,
+        followUps: stored.followUps || [],
+        filters: { ...DEFAULT_FILTERS, ...stored.filters },
+        uiLanguage: stored.uiLanguage || normalizeLanguage(process.env.INSTAGRAM_UI_LANGUAGE) || null,
+        updated: stored.updated || null
+    };
+}
+
+/**
+ * Update an account's settings; throws with a `validation` flag on invalid input
+ */
+async function updateAccountSettings(account, changes) {
+    const id = account.toLowerCase();
+    const stored = accountSettings.get(id) || { id, account };
+    const updated = { ...stored, account, updated: new Date() };
+
+    if (changes.rateLimits !== undefined) {
+        const rateLimits = { ...DEFAULT_RATE_LIMITS, ...stored.rateLimits, ...changes.rateLimits };
+        const validationError = validateGroupChanges('rateLimits', changes.rateLimits, DEFAULT_RATE_LIMITS) ||
+            validateRateLimits(rateLimits);
+        if (validationError) {
+            const error = new Error(validationError);
+            error.validation = true;
+            throw error;
+        }
+        updated.rateLimits = rateLimits;
+    }
+
+    if (changes.sendingWindow !== undefined) {
+        // null removes the window so the account can send at any time
+        if (changes.sendingWindow !== null) {
+            const validationError = validateSendingWindow(changes.sendingWindow);
+            if (validationError) {
+                const error = new Error(validationError);
+                error.validation = true;
+                throw error;
+            }
+        }
+        updated.sendingWindow = changes.sendingWindow && {
+            start: changes.sendingWindow.start,
+            end: changes.sendingWindow.end,
+            timezone: changes.sendingWindow.timezone || 'UTC'
+        };
+    }
+
+    if (changes.followUps !== undefined) {
+        // null or an empty list turns the drip sequence off
+        const followUps = changes.followUps || [];
+        const validationError = validateFollowUps(followUps);
+        if (validationError) {
+            const error = new Error(validationError);
+            error.validation = true;
+            throw error;
+        }
+        updated.followUps = followUps.map(step => ({ delayDays: step.delayDays, message: step.message }));
+    }
+
+    if (changes.filters !== undefined) {
+        // null resets every rule; otherwise only the rules sent are changed
+        const filters = changes.filters === null ?
+            { ...DEFAULT_FILTERS } :
+            { ...DEFAULT_FILTERS, ...stored.filters, ...changes.filters };
+        const validationError = (changes.filters !== null && validateGroupChanges('filters', changes.filters, DEFAULT_FILTERS)) ||
+            validateFilters(filters);
+        if (validationError) {
+            const error = new Error(validationError);
+            error.validation = true;
+            throw error;
+        }
+        updated.filters = normalizeFilters(filters);
+    }
+
+    if (changes.uiLanguage !== undefined) {
+        // null drops the account's language, falling back to INSTAGRAM_UI_LANGUAGE or Instagram's own setting
+        const uiLanguage = changes.uiLanguage === null ? null : normalizeLanguage(changes.uiLanguage);
+        if (uiLanguage !== null && !SUPPORTED_LANGUAGES.includes(uiLanguage)) {
+            const error = new Error(`uiLanguage must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+            error.validation = true;
+            throw error;
+        }
+        updated.uiLanguage = uiLanguage;
+    }
+
+    accountSettings.set(id, updated);
+    await settingsStore.save(updated);
+
+    return getAccountSettings(account);
+}
+
+module.exports = {
+    init,
+    getAccountSettings,
+    updateAccountSettings
+};
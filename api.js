@@ -5,6 +5,15 @@ const path = require('path');
 const multer = require('multer');
 const instagramBot = require('./instagram_bot');
 const jobManager = require('./job_manager');
+const webhooks = require('./webhooks');
+const scheduler = require('./scheduler');
+const accountSettings = require('./account_settings');
+const messageTemplate = require('./message_template');
+const messageVariants = require('./message_variants');
+const mediaAssets = require('./media_assets');
+const { parseRecipients } = require('./recipients');
+const followerSnapshots = require('./follower_snapshots');
+const followerProfiles = require('./follower_profiles');
 const dotenv = require('dotenv');
 
 // Load environment variables
@@ -19,10 +28,25 @@ const upload = multer({
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+// Cookie file plus other upload fields; req.file stays the cookie file
+function uploadWithCookieFile(fields) {
+    return [
+        upload.fields([{ name: 'cookieFile', maxCount: 1 }, ...fields]),
+        (req, res, next) => {
+            req.file = req.files && req.files.cookieFile ? req.files.cookieFile[0] : undefined;
+            next();
+        }
+    ];
+}
+const uploadWithAttachments = uploadWithCookieFile([{ name: 'attachments', maxCount: 5 }]);
+
 // Middleware
 app.use(bodyParser.json());
 app.use(express.static('public'));
 
+// Deliver webhook callbacks for jobs created with a callbackUrl
+webhooks.attachWebhooks(jobManager);
+
 // Clean up uploaded files after 24 hours
 setInterval(() => {
     const uploadsDir = path.join(__dirname, 'uploads');
@@ -61,31 +85,87 @@ setInterval(() => {
     }
 }, 60 * 60 * 1000); // Run cleanup every hour
 
+/**
+ * Schedules and jobs (from the given list) that send an asset as an attachment
+ */
+function getAssetUsage(assetId, jobs) {
+    const usesAsset = attachmentIds => (attachmentIds || []).includes(assetId);
+
+    return {
+        scheduleIds: scheduler.listSchedules()
+            .filter(schedule => usesAsset(schedule.attachmentIds))
+            .map(schedule => schedule.id),
+        jobIds: jobs
+            .filter(job => job.params && usesAsset(job.params.attachmentIds))
+            .map(job => job.id)
+    };
+}
+
+// Remove images uploaded with jobs once no kept job or schedule sends them anymore
+setInterval(() => {
+    mediaAssets.cleanupTemporaryAssets(assetId => {
+        const { scheduleIds, jobIds } = getAssetUsage(assetId, jobManager.getJobs());
+        return scheduleIds.length > 0 || jobIds.length > 0;
+    }).catch(error => console.error('Error cleaning up temporary assets:', error));
+}, 60 * 60 * 1000);
+
 // Home route
 app.get('/', (req, res) => {
     res.send('Instagram Auto Welcome API running');
 });
 
+/**
+ * Create an error that is reported as a 400
+ */
+function validationError(message) {
+    const error = new Error(message);
+    error.validation = true;
+    return error;
+}
+
+/**
+ * Validate the fields shared by both process-followers endpoints and store the uploaded images;
+ * throws with a `validation` flag on invalid input
+ */
+async function parseProcessFollowersFields(req, isAsync) {
+    const { username, welcomeMessage, callbackUrl, followerSource = 'notifications' } = req.body;
+
+    if (!req.file) throw validationError('Cookie file upload is required');
+    if (!username) throw validationError('Account username is required');
+
+    const templateError = welcomeMessage ? messageTemplate.validateTemplate(welcomeMessage) : null;
+    if (templateError) throw validationError(templateError);
+
+    const { variants, error: variantsError } = messageVariants.parseVariants(req.body.messageVariants);
+    if (variantsError) throw validationError(variantsError);
+
+    const sourceError = followerSnapshots.validateFollowerSource(followerSource);
+    if (sourceError) throw validationError(sourceError);
+
+    if (callbackUrl) {
+        // Synchronous requests return the results directly, so there is nothing to call back
+        const callbackError = isAsync ? webhooks.validateCallbackUrl(callbackUrl) : 'callbackUrl requires async=true';
+        if (callbackError) throw validationError(callbackError);
+    }
+
+    // Uploaded images are stored as assets so the job can still send them after waiting or resuming
+    const { attachmentIds, attachmentPosition, uploadedIds } = await mediaAssets.prepareAttachments(
+        req.files.attachments,
+        req.body.attachmentIds,
+        req.body.attachmentPosition
+    );
+
+    return { variants, attachmentIds, attachmentPosition, uploadedIds };
+}
+
 // API endpoint to process new followers (supports both synchronous and asynchronous modes)
-app.post('/api/process-followers', upload.single('cookieFile'), async (req, res) => {
+app.post('/api/process-followers', uploadWithAttachments, async (req, res) => {
     try {
-        const { username, welcomeMessage, browserlessApiKey, async } = req.body;
+        const { username, welcomeMessage, browserlessApiKey, async, callbackUrl, callbackPerUser, dryRun, followerSource = 'notifications' } = req.body;
         const isAsync = async === 'true' || async === true;
+        const isDryRun = dryRun === 'true' || dryRun === true;
 
-        // Check for cookie file upload
-        if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cookie file upload is required'
-            });
-        }
-
-        if (!username) {
-            return res.status(400).json({
-                success: false,
-                message: 'Account username is required'
-            });
-        }
+        const { variants, attachmentIds, attachmentPosition, uploadedIds } = await parseProcessFollowersFields(req, isAsync);
 
         // If async mode is requested, create job and return immediately
         if (isAsync) {
@@ -103,7 +183,14 @@ app.post('/api/process-followers', upload.single('cookieFile'), async (req, res)
                 username,
                 welcomeMessage: welcomeMessage || process.env.WELCOME_MESSAGE || 'Thank you for following us!',
                 headless: true, // Default to headless mode
-                browserlessApiKey: apiKey // Will be null if useBrowserless is false
+                browserlessApiKey: apiKey, // Will be null if useBrowserless is false
+                messageVariants: variants,
+                attachmentIds,
+                attachmentPosition,
+                dryRun: isDryRun,
+                followerSource,
+                callbackUrl,
+                callbackPerUser: callbackPerUser === 'true' || callbackPerUser === true
             }, jobManager);
 
             // Schedule file deletion after 5 minutes for async jobs
@@ -119,30 +206,67 @@ app.post('/api/process-followers', upload.single('cookieFile'), async (req, res)
             return res.json({
                 success: true,
                 jobId,
+                attachmentIds,
                 message: 'Job created successfully. Use the job ID to check status.',
                 async: true
             });
         }
 
-        // Process followers synchronously (original behavior)
-        const result = await instagramBot.processFollowers({
-            cookieFile: req.file,
-            username,
-            welcomeMessage: welcomeMessage || process.env.WELCOME_MESSAGE || 'Thank you for following us!',
-            headless: true, // Default to headless mode
-            browserlessApiKey: browserlessApiKey || process.env.BROWSERLESS_API_KEY
-        });
+        // Process followers synchronously (original behavior), waiting for the account's turn in the queue
+        let result;
+        try {
+            result = await jobManager.enqueueRun({
+                account: username,
+                run: () => instagramBot.processFollowers({
+                    cookieFile: req.file,
+                    username,
+                    welcomeMessage: welcomeMessage || process.env.WELCOME_MESSAGE || 'Thank you for following us!',
+                    headless: true, // Default to headless mode
+                    browserlessApiKey: browserlessApiKey || process.env.BROWSERLESS_API_KEY,
+                    messageVariants: variants,
+                    attachmentIds,
+                    attachmentPosition,
+                    dryRun: isDryRun,
+                    followerSource
+                })
+            });
+        } finally {
+            // No job keeps the images uploaded with a synchronous request
+            await Promise.all(uploadedIds.map(assetId => mediaAssets.deleteAsset(assetId)));
+        }
 
         // Clean up uploaded file after processing
         fs.unlinkSync(req.file.path);
 
+        if (result.plan) {
+            return res.json({
+                success: true,
+                dryRun: true,
+                plan: result.plan,
+                async: false
+            });
+        }
+
+        // A quota or the sending window may have deferred some (or all) of the followers
+        const deferredUsers = result.deferredUsers || [];
         res.json({
             success: true,
             processedUsers: result.processedUsers,
             failedUsers: result.failedUsers,
+            unconfirmedUsers: result.unconfirmedUsers || [],
+            skippedUsers: result.skippedUsers || [],
+            deferred: deferredUsers.length > 0,
+            deferredUsers,
+            resumeAt: result.resumeAt || null,
             async: false
         });
     } catch (error) {
+        if (error.validation) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('API Error:', error);
         res.status(500).json({
             success: false,
@@ -153,24 +277,12 @@ app.post('/api/process-followers', upload.single('cookieFile'), async (req, res)
 });
 
 // NEW API endpoint to create a processing job (asynchronous version)
-app.post('/api/jobs/process-followers', upload.single('cookieFile'), (req, res) => {
+app.post('/api/jobs/process-followers', uploadWithAttachments, async (req, res) => {
     try {
-        const { username, welcomeMessage, browserlessApiKey } = req.body;
-
-        // Check for cookie file upload
-        if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cookie file upload is required'
-            });
-        }
+        const { username, welcomeMessage, browserlessApiKey, callbackUrl, callbackPerUser, dryRun, followerSource = 'notifications' } = req.body;
+        const isDryRun = dryRun === 'true' || dryRun === true;
 
-        if (!username) {
-            return res.status(400).json({
-                success: false,
-                message: 'Account username is required'
-            });
-        }
+        const { variants, attachmentIds, attachmentPosition } = await parseProcessFollowersFields(req, true);
 
         // Create job
         const jobId = instagramBot.startProcessFollowers({
@@ -178,16 +290,30 @@ app.post('/api/jobs/process-followers', upload.single('cookieFile'), (req, res)
             username,
             welcomeMessage: welcomeMessage || process.env.WELCOME_MESSAGE || 'Thank you for following us!',
             headless: true, // Default to headless mode
-            browserlessApiKey: browserlessApiKey || process.env.BROWSERLESS_API_KEY
+            browserlessApiKey: browserlessApiKey || process.env.BROWSERLESS_API_KEY,
+            messageVariants: variants,
+            attachmentIds,
+            attachmentPosition,
+            dryRun: isDryRun,
+            followerSource,
+            callbackUrl,
+            callbackPerUser: callbackPerUser === 'true' || callbackPerUser === true
         }, jobManager);
 
         // Return immediately with job ID
         res.json({
             success: true,
             jobId,
+            attachmentIds,
             message: 'Job created successfully. Use the job ID to check status.'
         });
     } catch (error) {
+        if (error.validation) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('API Error:', error);
         res.status(500).json({
             success: false,
@@ -197,6 +323,48 @@ app.post('/api/jobs/process-followers', upload.single('cookieFile'), (req, res)
     }
 });
 
+// API endpoint to list jobs with filtering and pagination
+app.get('/api/jobs', (req, res) => {
+    try {
+        const { username, status, from, to } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range, use ISO 8601 dates for from and to'
+            });
+        }
+
+        const { total, jobs } = jobManager.listJobs({
+            account: username,
+            statuses: status ? status.split(',').map(value => value.trim()).filter(Boolean) : null,
+            from: fromDate,
+            to: toDate,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            total,
+            limit,
+            offset,
+            jobs
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while listing jobs',
+            error: error.message
+        });
+    }
+});
+
 // API endpoint to check job status
 app.get('/api/jobs/:jobId', (req, res) => {
     try {
@@ -214,6 +382,8 @@ app.get('/api/jobs/:jobId', (req, res) => {
             success: true,
             job: {
                 id: job.id,
+                type: job.type,
+                account: job.account,
                 status: job.status,
                 created: job.created,
                 updated: job.updated,
@@ -221,8 +391,28 @@ app.get('/api/jobs/:jobId', (req, res) => {
                 progress: job.progress,
                 processedUsers: job.processedUsers,
                 failedUsers: job.failedUsers,
+                unconfirmedUsers: job.unconfirmedUsers || [],
+                skippedUsers: job.skippedUsers || [],
+                followUps: job.followUps || [],
+                queuePosition: jobManager.getQueuePosition(job.id),
+                unattemptedUsers: job.unattemptedUsers,
+                pendingUsers: job.pendingUsers,
+                checkpointed: job.checkpointed,
+                resumeCount: job.resumeCount,
+                deferredUsers: job.deferredUsers,
+                resumeAt: job.resumeAt,
+                expectedStartAt: job.expectedStartAt,
+                webhookDeliveries: job.webhookDeliveries,
+                result: job.result,
+                parentJobId: job.parentJobId,
+                retryJobIds: job.retryJobIds || [],
+                deliveryStatus: job.deliveryStatus,
+                failureReason: job.failureReason,
+                failureDetails: job.failureDetails,
                 message: job.message,
-                error: job.error
+                error: job.error,
+                timeline: job.timeline || [],
+                droppedTimelineEvents: job.droppedTimelineEvents || 0
             }
         });
     } catch (error) {
@@ -235,85 +425,1031 @@ app.get('/api/jobs/:jobId', (req, res) => {
     }
 });
 
-// Enhanced endpoint: send a custom message to a specific user (supports browserless.io, headless, async)
-app.post('/api/send-message', upload.single('cookieFile'), async (req, res) => {
+// API endpoint to stream live job events over Server-Sent Events
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    const jobId = req.params.jobId;
+    const job = jobManager.getJob(jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            message: 'Job not found'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = event => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Start with the current state so clients don't need a separate status request
+    sendEvent({ type: 'snapshot', jobId, timestamp: new Date(), data: {}, job: jobManager.summarizeJob(job) });
+
+    if (jobManager.isJobFinished(job)) {
+        return res.end();
+    }
+
+    // Keep the connection alive through proxies that drop idle connections
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+    const unsubscribe = jobManager.subscribeToJob(jobId, event => {
+        sendEvent(event);
+        if (jobManager.isJobFinished(event.job)) {
+            res.end();
+        }
+    });
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// API endpoint to cancel a running job
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
     try {
-        const { username, message, browserlessApiKey, useBrowserless, headless, async: asyncFlag } = req.body;
-        const isAsync = asyncFlag === 'true' || asyncFlag === true;
-        const useRemote = useBrowserless === 'true' || useBrowserless === true;
-        const headlessMode = headless === 'false' ? false : true;
-        if (!req.file) {
-            return res.status(400).json({ success: false, message: 'Cookie file upload is required' });
+        const jobId = req.params.jobId;
+        const job = jobManager.getJob(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
         }
-        if (!username || !message) {
-            return res.status(400).json({ success: false, message: 'Username and message are required' });
+
+        if (!jobManager.cancelJob(jobId)) {
+            return res.status(409).json({
+                success: false,
+                message: `Job cannot be cancelled in status ${job.status}`
+            });
         }
-        const { loadCookies, initBrowser, sendWelcomeMessage } = require('./instagram_bot');
-        // Load cookies
-        const cookies = loadCookies(req.file);
-        // Browserless endpoint if needed
-        let browserlessWSEndpoint = null;
-        let apiKey = null;
-        if (useRemote) {
-            apiKey = browserlessApiKey || process.env.BROWSERLESS_API_KEY;
-            if (apiKey) {
-                browserlessWSEndpoint = `wss://chrome.browserless.io?token=${apiKey}&--disable-features=WebRtcHideLocalIpsWithMdns,AudioServiceOutOfProcess&stealth=true`;
-            }
+
+        res.json({
+            success: true,
+            jobId,
+            status: job.status,
+            message: 'Cancellation requested. The job will stop before the next follower.'
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while cancelling the job',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to pause a running job
+app.post('/api/jobs/:jobId/pause', (req, res) => {
+    try {
+        const jobId = req.params.jobId;
+        const job = jobManager.getJob(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
         }
-        // Async/background job support
-        if (isAsync) {
-            const jobId = require('./job_manager').createJob({ username, message, browserlessApiKey, useBrowserless, headless: headlessMode, cookieFile: req.file });
-            (async () => {
-                let browser = null;
-                try {
-                    const { browser, page } = await initBrowser(cookies, headlessMode, browserlessWSEndpoint);
-                    await page.goto('https://www.instagram.com/', { timeout: 90000 });
-                    const isLoggedIn = await page.evaluate(() => !document.querySelector('input[name="username"]'));
-                    if (!isLoggedIn) throw new Error('Authentication failed - please check your cookie file');
-                    const success = await sendWelcomeMessage(page, username, message);
-                    if (success) {
-                        require('./job_manager').updateJobStatus(jobId, 'completed', { message: 'Message sent successfully' });
-                    } else {
-                        require('./job_manager').failJob(jobId, 'Failed to send message');
-                    }
-                } catch (err) {
-                    require('./job_manager').failJob(jobId, err.message || String(err));
-                } finally {
-                    if (browser) try { await browser.close(); } catch (e) { }
-                    if (req.file && req.file.path) { try { require('fs').unlinkSync(req.file.path); } catch (e) { } }
-                }
-            })();
-            return res.json({ success: true, jobId, message: 'Job created successfully. Use the job ID to check status.', async: true });
+
+        if (!jobManager.pauseJob(jobId)) {
+            return res.status(409).json({
+                success: false,
+                message: `Job cannot be paused in status ${job.status}`
+            });
         }
-        // Synchronous processing
-        let browser, page;
-        let success = false;
-        let error = null;
-        try {
-            const browserObj = await initBrowser(cookies, headlessMode, browserlessWSEndpoint);
-            browser = browserObj.browser;
-            page = browserObj.page;
-            await page.goto('https://www.instagram.com/', { timeout: 90000 });
-            const isLoggedIn = await page.evaluate(() => !document.querySelector('input[name="username"]'));
-            if (!isLoggedIn) throw new Error('Authentication failed - please check your cookie file');
-            success = await sendWelcomeMessage(page, username, message);
-        } catch (err) {
-            error = err.message || String(err);
-        } finally {
-            if (browser) try { await browser.close(); } catch (e) { }
+
+        res.json({
+            success: true,
+            jobId,
+            status: job.status,
+            message: 'Pause requested. The job will pause before the next follower.'
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while pausing the job',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Cookies and Browserless API key to reuse for a finished job: the original upload if it is still
+ * on disk, otherwise the encrypted copy kept on the job (only when SECRETS_KEY is set). The key
+ * falls back to the server's BROWSERLESS_API_KEY like new jobs do.
+ */
+function getReusableCredentials(job) {
+    const originalCookieFile = job.params && job.params.cookieFile;
+    const storedSecrets = jobManager.getJobSecrets(job.id);
+
+    let cookieFile = null;
+    if (originalCookieFile && (Buffer.isBuffer(originalCookieFile) ||
+        (originalCookieFile.path && fs.existsSync(originalCookieFile.path)))) {
+        cookieFile = originalCookieFile;
+    } else if (storedSecrets) {
+        cookieFile = storedSecrets.cookies;
+    }
+
+    return {
+        cookieFile,
+        browserlessApiKey: job.params.browserlessApiKey || (storedSecrets ? storedSecrets.browserlessApiKey : null) ||
+            process.env.BROWSERLESS_API_KEY || null
+    };
+}
+
+/**
+ * Explain which credentials a finished job needs again, or return null when it has them
+ */
+function getMissingCredentialsMessage(job, cookieFile, browserlessApiKey, action) {
+    const keepHint = 'uploaded cookies and the Browserless API key are not kept after the upload is cleaned up or the server restarts, unless SECRETS_KEY is set';
+
+    if (!cookieFile) {
+        return `Cookie file upload is required to ${action} this job: ${keepHint}`;
+    }
+    if (job.params.usesBrowserless && !browserlessApiKey) {
+        return `browserlessApiKey is required to ${action} this job on Browserless: ${keepHint}`;
+    }
+    return null;
+}
+
+/**
+ * Credentials to resume or retry a job with: a new upload or key in the request wins over the reusable ones.
+ * `missingMessage` explains what still has to be sent, or is null.
+ */
+function getJobCredentials(job, req, action) {
+    // The original upload may have been cleaned up, in which case a fresh cookie file is needed
+    const reusable = getReusableCredentials(job);
+    const cookieFile = req.file || reusable.cookieFile;
+    const browserlessApiKey = req.body.browserlessApiKey || reusable.browserlessApiKey;
+
+    return {
+        cookieFile,
+        browserlessApiKey,
+        missingMessage: getMissingCredentialsMessage(job, cookieFile, browserlessApiKey, action)
+    };
+}
+
+// API endpoint to resume a paused job, or continue an interrupted/failed/cancelled job from its checkpoint
+app.post('/api/jobs/:jobId/resume', upload.single('cookieFile'), (req, res) => {
+    try {
+        const jobId = req.params.jobId;
+        const job = jobManager.getJob(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
         }
-        if (req.file && req.file.path) { try { require('fs').unlinkSync(req.file.path); } catch (e) { } }
-        if (success) {
-            return res.json({ success: true, message: 'Message sent successfully' });
-        } else {
-            return res.status(500).json({ success: false, message: error || 'Failed to send message' });
+
+        if (jobManager.isPauseRequested(jobId)) {
+            jobManager.resumeJob(jobId);
+            return res.json({
+                success: true,
+                jobId,
+                status: job.status,
+                message: 'Job resumed'
+            });
+        }
+
+        if (!jobManager.canResumeFromCheckpoint(job)) {
+            return res.status(409).json({
+                success: false,
+                message: `Job cannot be resumed in status ${job.status}`
+            });
+        }
+
+        const { cookieFile, browserlessApiKey, missingMessage } = getJobCredentials(job, req, 'resume');
+        if (missingMessage) {
+            return res.status(400).json({
+                success: false,
+                message: missingMessage
+            });
         }
+
+        const pendingCount = job.pendingUsers.length;
+
+        instagramBot.resumeProcessFollowers(jobId, {
+            cookieFile,
+            browserlessApiKey
+        }, jobManager);
+
+        res.json({
+            success: true,
+            jobId,
+            status: job.status,
+            message: `Job resumed from checkpoint with ${pendingCount} pending followers`
+        });
     } catch (error) {
-        return res.status(500).json({ success: false, message: error.message });
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while resuming the job',
+            error: error.message
+        });
     }
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+// API endpoint to retry only the failed users of a finished job in a new child job
+app.post('/api/jobs/:jobId/retry-failed', upload.single('cookieFile'), async (req, res) => {
+    try {
+        const jobId = req.params.jobId;
+        const job = jobManager.getJob(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        if (!['process_followers', 'bulk_send'].includes(job.type || 'process_followers')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only follower processing and bulk send jobs can be retried'
+            });
+        }
+
+        if (!jobManager.isJobFinished(job)) {
+            return res.status(409).json({
+                success: false,
+                message: `Job cannot be retried while it is ${job.status}`
+            });
+        }
+
+        // Optional filter on failure reasons (JSON array or comma-separated list)
+        let reasons = req.body.reasons || [];
+        if (typeof reasons === 'string') {
+            reasons = reasons.trim().startsWith('[') ? JSON.parse(reasons) : reasons.split(',');
+        }
+        reasons = [].concat(reasons).map(reason => String(reason).trim()).filter(Boolean);
+
+        const knownReasons = Object.values(instagramBot.FAILURE_REASONS);
+        const unknownReasons = reasons.filter(reason => !knownReasons.includes(reason));
+        if (unknownReasons.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown failure reasons: ${unknownReasons.join(', ')}. Available: ${knownReasons.join(', ')}`
+            });
+        }
+
+        let usernames = jobManager.getFailedUsernames(job, reasons);
+
+        // Followers who unfollowed since the job ran are not retried
+        let skippedUnfollowers = [];
+        if (process.env.MONGODB_URI && job.account) {
+            try {
+                const unfollowed = await followerSnapshots.getUnfollowedSince(job.account, new Date(job.created));
+                skippedUnfollowers = usernames.filter(username => unfollowed.has(username.toLowerCase()));
+                usernames = usernames.filter(username => !unfollowed.has(username.toLowerCase()));
+            } catch (snapshotError) {
+                console.error(`Error checking unfollowers for job ${jobId}:`, snapshotError);
+            }
+        }
+
+        if (usernames.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: reasons.length > 0 ? 'Job has no failed users with these reasons' : 'Job has no failed users to retry',
+                skippedUnfollowers
+            });
+        }
+
+        const { cookieFile, browserlessApiKey, missingMessage } = getJobCredentials(job, req, 'retry');
+        if (missingMessage) {
+            return res.status(400).json({
+                success: false,
+                message: missingMessage
+            });
+        }
+
+        const retryJobId = instagramBot.retryFailedUsers(jobId, usernames, {
+            cookieFile,
+            browserlessApiKey
+        }, jobManager);
+
+        res.json({
+            success: true,
+            jobId: retryJobId,
+            parentJobId: jobId,
+            usernames,
+            skippedUnfollowers,
+            message: `Retry job created for ${usernames.length} failed users. Use the job ID to check status.`
+        });
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            return res.status(400).json({
+                success: false,
+                message: 'reasons must be a JSON array or a comma-separated list'
+            });
+        }
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while creating the retry job',
+            error: error.message
+        });
+    }
+});
+
+// Enhanced endpoint: send a custom message to a specific user (supports browserless.io, headless, async)
+app.post('/api/send-message', uploadWithAttachments, async (req, res) => {
+    try {
+        const { username, message, accountUsername, browserlessApiKey, useBrowserless, headless, async: asyncFlag, callbackUrl } = req.body;
+        const isAsync = asyncFlag === 'true' || asyncFlag === true;
+        const useRemote = useBrowserless === 'true' || useBrowserless === true;
+        const headlessMode = headless === 'false' ? false : true;
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'Cookie file upload is required' });
+        }
+        if (!username || !message) {
+            return res.status(400).json({ success: false, message: 'Username and message are required' });
+        }
+        const templateError = messageTemplate.validateTemplate(message);
+        if (templateError) {
+            return res.status(400).json({ success: false, message: templateError });
+        }
+        if (callbackUrl) {
+            // Synchronous requests return the result directly, so there is nothing to call back
+            const callbackError = isAsync ? webhooks.validateCallbackUrl(callbackUrl) : 'callbackUrl requires async=true';
+            if (callbackError) {
+                return res.status(400).json({ success: false, message: callbackError });
+            }
+        }
+        const { attachmentIds, attachmentPosition, uploadedIds } = await mediaAssets.prepareAttachments(req.files.attachments, req.body.attachmentIds, req.body.attachmentPosition);
+        const attachments = { paths: mediaAssets.getAttachmentPaths(attachmentIds), position: attachmentPosition };
+        // Fill in template variables from the recipient's profile
+        const renderMessage = profile => messageTemplate.renderTemplate(message, messageTemplate.buildVariables(profile.username, profile));
+        const { loadCookies, initBrowser, sendWelcomeMessage, DELIVERY_STATUS } = require('./instagram_bot');
+        // Load cookies
+        const cookies = loadCookies(req.file);
+        // Browserless endpoint if needed
+        let browserlessWSEndpoint = null;
+        let apiKey = null;
+        if (useRemote) {
+            apiKey = browserlessApiKey || process.env.BROWSERLESS_API_KEY;
+            if (apiKey) {
+                browserlessWSEndpoint = `wss://chrome.browserless.io?token=${apiKey}&--disable-features=WebRtcHideLocalIpsWithMdns,AudioServiceOutOfProcess&stealth=true`;
+            }
+        }
+        // Async/background job support
+        if (isAsync) {
+            const jobId = require('./job_manager').createJob({ username, message, accountUsername, browserlessApiKey, useBrowserless, headless: headlessMode, cookieFile: req.file, callbackUrl, attachmentIds, attachmentPosition }, { type: 'send_message', account: accountUsername || null });
+            // With a known account, wait for its sending window before taking a browser slot
+            const windowReady = accountUsername ?
+                instagramBot.waitForSendingWindow(jobId, accountUsername, jobManager) :
+                Promise.resolve(true);
+            windowReady.then(windowOpen => windowOpen && jobManager.enqueueRun({ jobId, account: accountUsername, run: async () => {
+                let browser = null;
+                try {
+                    if (jobManager.isCancelRequested(jobId)) {
+                        jobManager.markJobCancelled(jobId, [username]);
+                        return;
+                    }
+                    require('./job_manager').updateJobStatus(jobId, 'running');
+                    const browserObj = await initBrowser(cookies, headlessMode, browserlessWSEndpoint);
+                    browser = browserObj.browser;
+                    const page = browserObj.page;
+                    await page.goto('https://www.instagram.com/', { timeout: 90000 });
+                    const isLoggedIn = await page.evaluate(() => !document.querySelector('input[name="username"]'));
+                    if (!isLoggedIn) throw new Error('Authentication failed - please check your cookie file');
+                    const delivery = await sendWelcomeMessage(page, username, renderMessage, attachments);
+                    if (delivery.status === DELIVERY_STATUS.SENT) {
+                        require('./job_manager').updateJobStatus(jobId, 'completed', { message: 'Message sent successfully', deliveryStatus: delivery.status });
+                    } else if (delivery.status === DELIVERY_STATUS.UNCONFIRMED) {
+                        require('./job_manager').updateJobStatus(jobId, 'completed', { message: 'Message sent, but delivery could not be confirmed', deliveryStatus: delivery.status });
+                    } else {
+                        require('./job_manager').failJob(jobId, `Failed to send message: ${delivery.reason}`, {
+                            deliveryStatus: delivery.status,
+                            failureReason: delivery.reason,
+                            failureDetails: delivery.details,
+                            retry: delivery.retry
+                        });
+                    }
+                } catch (err) {
+                    require('./job_manager').failJob(jobId, err.message || String(err));
+                } finally {
+                    if (browser) try { await browser.close(); } catch (e) { }
+                }
+            } })).catch(err => {
+                require('./job_manager').failJob(jobId, err.message || String(err));
+            }).finally(() => {
+                // Also reached when the job is cancelled while waiting for the window or in the queue
+                if (req.file && req.file.path) { try { require('fs').unlinkSync(req.file.path); } catch (e) { } }
+            });
+            return res.json({ success: true, jobId, attachmentIds, message: 'Job created successfully. Use the job ID to check status.', async: true });
+        }
+        // Synchronous processing
+        let browser, page;
+        let delivery = { status: DELIVERY_STATUS.FAILED, reason: null, details: null, retry: null };
+        let error = null;
+        await jobManager.enqueueRun({ account: accountUsername, run: async () => {
+            try {
+                const browserObj = await initBrowser(cookies, headlessMode, browserlessWSEndpoint);
+                browser = browserObj.browser;
+                page = browserObj.page;
+                await page.goto('https://www.instagram.com/', { timeout: 90000 });
+                const isLoggedIn = await page.evaluate(() => !document.querySelector('input[name="username"]'));
+                if (!isLoggedIn) throw new Error('Authentication failed - please check your cookie file');
+                delivery = await sendWelcomeMessage(page, username, renderMessage, attachments);
+            } catch (err) {
+                error = err.message || String(err);
+            } finally {
+                if (browser) try { await browser.close(); } catch (e) { }
+            }
+        } });
+        if (req.file && req.file.path) { try { require('fs').unlinkSync(req.file.path); } catch (e) { } }
+        // No job keeps the images uploaded with a synchronous request
+        await Promise.all(uploadedIds.map(assetId => mediaAssets.deleteAsset(assetId)));
+        if (delivery.status === DELIVERY_STATUS.SENT) {
+            return res.json({ success: true, deliveryStatus: delivery.status, message: 'Message sent successfully' });
+        } else if (delivery.status === DELIVERY_STATUS.UNCONFIRMED) {
+            return res.json({ success: true, deliveryStatus: delivery.status, message: 'Message sent, but delivery could not be confirmed' });
+        } else {
+            return res.status(500).json({
+                success: false,
+                message: error || `Failed to send message: ${delivery.reason}`,
+                deliveryStatus: delivery.status,
+                failureReason: delivery.reason,
+                failureDetails: delivery.details,
+                retry: delivery.retry
+            });
+        }
+    } catch (error) {
+        if (error.validation) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        return res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// API endpoint to message a list of recipients (CSV or JSON) as one background job
+app.post('/api/send-message/bulk', uploadWithCookieFile([
+    { name: 'recipientsFile', maxCount: 1 },
+    { name: 'attachments', maxCount: 5 }
+]), async (req, res) => {
+    try {
+        const { accountUsername, message, browserlessApiKey, useBrowserless, headless, callbackUrl, callbackPerUser } = req.body;
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cookie file upload is required'
+            });
+        }
+
+        if (!accountUsername) {
+            return res.status(400).json({
+                success: false,
+                message: 'Account username is required'
+            });
+        }
+
+        // Recipients come from an uploaded CSV/JSON file or the request body
+        let recipientsInput = req.body.recipients;
+        const recipientsFile = req.files.recipientsFile && req.files.recipientsFile[0];
+        if (recipientsFile) {
+            recipientsInput = fs.readFileSync(recipientsFile.path, 'utf8');
+            fs.unlink(recipientsFile.path, err => {
+                if (err) console.error('Error deleting recipients upload:', err);
+            });
+        }
+
+        if (!recipientsInput) {
+            return res.status(400).json({
+                success: false,
+                message: 'A recipientsFile upload or a recipients list is required'
+            });
+        }
+
+        const { recipients, duplicates, error: recipientsError } = parseRecipients(recipientsInput, message);
+        if (recipientsError) {
+            return res.status(400).json({
+                success: false,
+                message: recipientsError
+            });
+        }
+
+        if (callbackUrl) {
+            const callbackError = webhooks.validateCallbackUrl(callbackUrl);
+            if (callbackError) {
+                return res.status(400).json({
+                    success: false,
+                    message: callbackError
+                });
+            }
+        }
+
+        const { attachmentIds, attachmentPosition } = await mediaAssets.prepareAttachments(
+            req.files.attachments,
+            req.body.attachmentIds,
+            req.body.attachmentPosition
+        );
+
+        const useRemote = useBrowserless === 'true' || useBrowserless === true;
+        const jobId = instagramBot.startBulkSend({
+            cookieFile: req.file,
+            accountUsername,
+            message,
+            recipients,
+            duplicates,
+            headless: headless !== 'false' && headless !== false,
+            browserlessApiKey: useRemote ? (browserlessApiKey || process.env.BROWSERLESS_API_KEY) : null,
+            attachmentIds,
+            attachmentPosition,
+            callbackUrl,
+            callbackPerUser: callbackPerUser === 'true' || callbackPerUser === true
+        }, jobManager);
+
+        // The job keeps the cookies in memory, so the upload can go
+        setTimeout(() => {
+            fs.unlink(req.file.path, err => {
+                if (err) console.error('Error deleting async upload:', err);
+            });
+        }, 5 * 60 * 1000);
+
+        res.json({
+            success: true,
+            jobId,
+            recipients: recipients.length,
+            duplicates: duplicates.length,
+            attachmentIds,
+            message: 'Bulk send job created successfully. Use the job ID to check status.'
+        });
+    } catch (error) {
+        if (error.validation) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while creating the bulk send job',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to upload an image for use as a message attachment
+app.post('/api/assets', upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Image file upload is required'
+            });
+        }
+
+        const asset = await mediaAssets.createAsset(req.file);
+
+        res.status(201).json({
+            success: true,
+            asset
+        });
+    } catch (error) {
+        // Stored assets take over their upload; a rejected one is removed here
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlink(req.file.path, err => {
+                if (err) console.error('Error deleting asset upload:', err);
+            });
+        }
+        if (error.validation) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while storing the asset',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to list stored assets
+app.get('/api/assets', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            assets: mediaAssets.listAssets()
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while listing assets',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to delete a stored asset; assets still used by a schedule or an active job are kept
+app.delete('/api/assets/:assetId', async (req, res) => {
+    try {
+        const assetId = req.params.assetId;
+        const { scheduleIds, jobIds } = getAssetUsage(assetId, jobManager.getActiveJobs());
+
+        if (scheduleIds.length > 0 || jobIds.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Asset is still used by schedules or active jobs, remove it from them first',
+                scheduleIds,
+                jobIds
+            });
+        }
+
+        const deleted = await mediaAssets.deleteAsset(assetId);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Asset deleted'
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while deleting the asset',
+            error: error.message
+        });
+    }
+});
+
+// Read schedule fields from a JSON or multipart request; only fields that were sent are returned
+function parseScheduleFields(req) {
+    const { username, cron, timezone, welcomeMessage, headless, useBrowserless, enabled } = req.body;
+    const parseBoolean = value => value === undefined ? undefined : value === true || value === 'true';
+    const fields = {
+        account: username,
+        cron,
+        timezone,
+        welcomeMessage,
+        headless: parseBoolean(headless),
+        useBrowserless: parseBoolean(useBrowserless),
+        enabled: parseBoolean(enabled)
+    };
+
+    // Images are referenced by asset ID (see /api/assets); an empty value removes them
+    if (req.body.attachmentIds !== undefined) {
+        fields.attachmentIds = mediaAssets.parseAssetIds(req.body.attachmentIds);
+    }
+    if (req.body.attachmentPosition !== undefined) {
+        fields.attachmentPosition = req.body.attachmentPosition;
+    }
+    if (req.body.followerSource !== undefined) {
+        fields.followerSource = req.body.followerSource;
+    }
+
+    // Variants are normalised here; an empty value removes them from the schedule
+    if (req.body.messageVariants !== undefined) {
+        const { variants, error: variantsError } = messageVariants.parseVariants(req.body.messageVariants);
+        if (variantsError) {
+            const error = new Error(variantsError);
+            error.validation = true;
+            throw error;
+        }
+        fields.messageVariants = variants;
+    }
+
+    // Cookies are stored with the schedule so each run can log in without a new upload
+    if (req.file) {
+        try {
+            instagramBot.loadCookies(req.file);
+            fields.cookies = fs.readFileSync(req.file.path, 'utf8');
+        } catch (cookieError) {
+            const error = new Error(`Invalid cookie file: ${cookieError.message}`);
+            error.validation = true;
+            throw error;
+        } finally {
+            fs.unlink(req.file.path, err => {
+                if (err) console.error('Error deleting schedule upload:', err);
+            });
+        }
+    }
+
+    return fields;
+}
+
+// API endpoint to create a recurring schedule
+app.post('/api/schedules', upload.single('cookieFile'), async (req, res) => {
+    try {
+        const schedule = await scheduler.createSchedule(parseScheduleFields(req));
+
+        res.status(201).json({
+            success: true,
+            schedule
+        });
+    } catch (error) {
+        if (error.validation) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while creating the schedule',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to list schedules
+app.get('/api/schedules', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            schedules: scheduler.listSchedules({ account: req.query.username })
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while listing schedules',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to get a schedule
+app.get('/api/schedules/:scheduleId', (req, res) => {
+    const schedule = scheduler.getSchedule(req.params.scheduleId);
+
+    if (!schedule) {
+        return res.status(404).json({
+            success: false,
+            message: 'Schedule not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        schedule
+    });
+});
+
+// API endpoint to update a schedule
+app.patch('/api/schedules/:scheduleId', upload.single('cookieFile'), async (req, res) => {
+    try {
+        const schedule = await scheduler.updateSchedule(req.params.scheduleId, parseScheduleFields(req));
+
+        if (!schedule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Schedule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            schedule
+        });
+    } catch (error) {
+        if (error.validation) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while updating the schedule',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to delete a schedule
+app.delete('/api/schedules/:scheduleId', async (req, res) => {
+    try {
+        const deleted = await scheduler.deleteSchedule(req.params.scheduleId);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Schedule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Schedule deleted'
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while deleting the schedule',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to get an account's settings
+app.get('/api/accounts/:username/settings', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            settings: accountSettings.getAccountSettings(req.params.username)
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while fetching account settings',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to update an account's settings
+app.put('/api/accounts/:username/settings', async (req, res) => {
+    try {
+        const settings = await accountSettings.updateAccountSettings(req.params.username, req.body);
+
+        res.json({
+            success: true,
+            settings
+        });
+    } catch (error) {
+        if (error.validation) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while updating account settings',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to compare message variants by reply rate
+app.get('/api/accounts/:username/variant-stats', async (req, res) => {
+    try {
+        const collection = await instagramBot.getProcessedUsersCollection();
+        if (!collection) {
+            return res.status(503).json({
+                success: false,
+                message: 'Variant stats require MongoDB (MONGODB_URI)'
+            });
+        }
+
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be valid dates'
+            });
+        }
+
+        res.json({
+            success: true,
+            account: req.params.username,
+            variants: await messageVariants.getVariantStats(collection, req.params.username, { from, to })
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while fetching variant stats',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to list an account's processed users with their profiles, filtered by segment
+app.get('/api/accounts/:username/processed-users', async (req, res) => {
+    try {
+        const collection = await instagramBot.getProcessedUsersCollection();
+        if (!collection) {
+            return res.status(503).json({
+                success: false,
+                message: 'Processed users require MongoDB (MONGODB_URI)'
+            });
+        }
+
+        const { filters, error: queryError } = followerProfiles.parseProfileQuery(req.query);
+        if (queryError) {
+            return res.status(400).json({
+                success: false,
+                message: queryError
+            });
+        }
+
+        const { total, users } = await followerProfiles.listProcessedUsers(collection, req.params.username, filters);
+
+        res.json({
+            success: true,
+            account: req.params.username,
+            total,
+            limit: filters.limit,
+            offset: filters.offset,
+            users
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while fetching processed users',
+            error: error.message
+        });
+    }
+});
+
+// API endpoint to list the follows and unfollows found between followers list snapshots
+app.get('/api/accounts/:username/follower-changes', async (req, res) => {
+    try {
+        if (!process.env.MONGODB_URI) {
+            return res.status(503).json({
+                success: false,
+                message: 'Follower changes require MongoDB (MONGODB_URI)'
+            });
+        }
+
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be valid dates'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+        const snapshot = await followerSnapshots.getSnapshot(req.params.username);
+        const { totals, changes } = await followerSnapshots.getChanges(req.params.username, { from, to, limit });
+
+        res.json({
+            success: true,
+            account: req.params.username,
+            snapshot: snapshot ? { count: snapshot.count, complete: snapshot.complete, takenAt: snapshot.takenAt } : null,
+            totals,
+            changes
+        });
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'An error occurred while fetching follower changes',
+            error: error.message
+        });
+    }
+});
+
+// Load persisted jobs, account settings, media assets and schedules, re-arm deferred jobs, then start the server
+jobManager.init()
+    .catch(error => {
+        console.error('Error loading persisted jobs:', error);
+    })
+    .then(() => accountSettings.init())
+    .catch(error => {
+        console.error('Error loading account settings:', error);
+    })
+    .then(() => mediaAssets.init())
+    .catch(error => {
+        console.error('Error loading media assets:', error);
+    })
+    .then(() => scheduler.init(instagramBot, jobManager))
+    .catch(error => {
+        console.error('Error loading schedules:', error);
+    })
+    .then(() => {
+        const deferredCount = instagramBot.resumeDeferredJobs(jobManager);
+        if (deferredCount > 0) console.log(`Re-armed ${deferredCount} deferred jobs`);
+    })
+    .catch(error => {
+        console.error('Error resuming deferred jobs:', error);
+    })
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`Server running on port ${PORT}`);
+        });
+    });
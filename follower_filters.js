@@ -0,0 +1,122 @@
+// Rules applied to new followers before they are messaged; the defaults let everyone through
+const DEFAULT_FILTERS = {
+    allowlist: [],
+    blocklist: [],
+    skipPrivate: false,
+    skipVerified: false,
+    minPosts: null,
+    minFollowers: null,
+    bioInclude: [],
+    bioExclude: []
+};
+
+const LIST_FIELDS = ['allowlist', 'blocklist', 'bioInclude', 'bioExclude'];
+const MAX_LIST_ENTRIES = 500;
+
+/**
+ * Validate follower filters; returns an error message or null
+ */
+function validateFilters(filters) {
+    for (const field of LIST_FIELDS) {
+        const list = filters[field];
+        if (!Array.isArray(list) || list.length > MAX_LIST_ENTRIES || list.some(entry => typeof entry !== 'string' || !entry.trim())) {
+            return `filters.${field} must be an array of at most ${MAX_LIST_ENTRIES} non-empty strings`;
+        }
+    }
+    for (const field of ['skipPrivate', 'skipVerified']) {
+        if (typeof filters[field] !== 'boolean') {
+            return `filters.${field} must be true or false`;
+        }
+    }
+    for (const field of ['minPosts', 'minFollowers']) {
+        const value = filters[field];
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            return `filters.${field} must be a non-negative number or null`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Normalise list entries: usernames without "@", keywords trimmed, all lowercase
+ */
+function normalizeFilters(filters) {
+    const normalized = { ...filters };
+    normalized.allowlist = filters.allowlist.map(username => username.trim().replace(/^@/, '').toLowerCase());
+    normalized.blocklist = filters.blocklist.map(username => username.trim().replace(/^@/, '').toLowerCase());
+    normalized.bioInclude = filters.bioInclude.map(keyword => keyword.trim().toLowerCase());
+    normalized.bioExclude = filters.bioExclude.map(keyword => keyword.trim().toLowerCase());
+    return normalized;
+}
+
+/**
+ * Check whether any rule is set
+ */
+function hasRules(filters) {
+    return Boolean(filters) && (filters.blocklist.length > 0 || needsProfile(filters));
+}
+
+/**
+ * Check whether the rules need the follower's profile (anything beyond the username lists)
+ */
+function needsProfile(filters) {
+    return filters.skipPrivate || filters.skipVerified ||
+        filters.minPosts !== null || filters.minFollowers !== null ||
+        filters.bioInclude.length > 0 || filters.bioExclude.length > 0;
+}
+
+/**
+ * Check whether a follower is on the allowlist, which lets them past every other rule
+ */
+function isAllowlisted(username, filters) {
+    return filters.allowlist.includes(username.toLowerCase());
+}
+
+/**
+ * Apply the rules to a follower. Returns null to message them, or { rule, reason } for the first rule
+ * that excludes them. Profile details that couldn't be read never exclude anyone.
+ */
+function evaluateFilters(username, profile, filters) {
+    const name = username.toLowerCase();
+
+    if (filters.allowlist.includes(name)) return null;
+    if (filters.blocklist.includes(name)) {
+        return { rule: 'blocklist', reason: 'On the blocklist' };
+    }
+    if (!profile) return null;
+
+    if (filters.skipPrivate && profile.isPrivate === true) {
+        return { rule: 'private', reason: 'Private account' };
+    }
+    if (filters.skipVerified && profile.isVerified === true) {
+        return { rule: 'verified', reason: 'Verified account' };
+    }
+    if (filters.minPosts !== null && typeof profile.postsCount === 'number' && profile.postsCount < filters.minPosts) {
+        return { rule: 'min_posts', reason: `${profile.postsCount} posts, fewer than ${filters.minPosts}` };
+    }
+    if (filters.minFollowers !== null && typeof profile.followersCount === 'number' && profile.followersCount < filters.minFollowers) {
+        return { rule: 'min_followers', reason: `${profile.followersCount} followers, fewer than ${filters.minFollowers}` };
+    }
+
+    const bio = typeof profile.biography === 'string' ? profile.biography.toLowerCase() : null;
+    if (bio !== null) {
+        const excluded = filters.bioExclude.find(keyword => bio.includes(keyword));
+        if (excluded) {
+            return { rule: 'bio_exclude', reason: `Bio contains "${excluded}"` };
+        }
+        if (filters.bioInclude.length > 0 && !filters.bioInclude.some(keyword => bio.includes(keyword))) {
+            return { rule: 'bio_include', reason: 'Bio contains none of the required keywords' };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_FILTERS,
+    validateFilters,
+    normalizeFilters,
+    hasRules,
+    needsProfile,
+    isAllowlisted,
+    evaluateFilters
+};
@@ -0,0 +1,104 @@
+// Profile fields kept on processed-user records, as read by scrapeProfile
+const PROFILE_FIELDS = ['fullName', 'biography', 'followersCount', 'followingCount', 'postsCount', 'isVerified', 'isPrivate', 'profilePictureUrl'];
+
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Build the profile stored with a processed user from a scraped profile; null when nothing was read
+ */
+function toStoredProfile(profile) {
+    if (!profile) return null;
+
+    const stored = {};
+    PROFILE_FIELDS.forEach(field => {
+        stored[field] = profile[field] === undefined ? null : profile[field];
+    });
+    if (PROFILE_FIELDS.every(field => stored[field] === null)) return null;
+
+    stored.scrapedAt = new Date();
+    return stored;
+}
+
+/**
+ * Parse the segment filters of a processed-users query string.
+ * Returns { filters } or { error }.
+ */
+function parseProfileQuery(query) {
+    const filters = {
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), MAX_PAGE_SIZE),
+        offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+    };
+
+    for (const field of ['from', 'to']) {
+        if (query[field]) {
+            filters[field] = new Date(query[field]);
+            if (isNaN(filters[field])) return { error: 'from and to must be valid dates' };
+        }
+    }
+    for (const field of ['minFollowers', 'maxFollowers', 'minPosts']) {
+        if (query[field] !== undefined && query[field] !== '') {
+            filters[field] = Number(query[field]);
+            if (!Number.isFinite(filters[field]) || filters[field] < 0) return { error: `${field} must be a non-negative number` };
+        }
+    }
+    for (const field of ['verified', 'private']) {
+        if (query[field] !== undefined && query[field] !== '') {
+            if (!['true', 'false'].includes(query[field])) return { error: `${field} must be true or false` };
+            filters[field] = query[field] === 'true';
+        }
+    }
+    if (query.bio) filters.bio = String(query.bio);
+
+    return { filters };
+}
+
+/**
+ * List an account's processed users with their stored profiles, newest first, filtered by segment
+ */
+async function listProcessedUsers(collection, accountOwner, filters = {}) {
+    const match = { accountOwner };
+
+    if (filters.from || filters.to) {
+        match.processedAt = {};
+        if (filters.from) match.processedAt.$gte = filters.from;
+        if (filters.to) match.processedAt.$lte = filters.to;
+    }
+    if (filters.minFollowers !== undefined || filters.maxFollowers !== undefined) {
+        match['profile.followersCount'] = {};
+        if (filters.minFollowers !== undefined) match['profile.followersCount'].$gte = filters.minFollowers;
+        if (filters.maxFollowers !== undefined) match['profile.followersCount'].$lte = filters.maxFollowers;
+    }
+    if (filters.minPosts !== undefined) match['profile.postsCount'] = { $gte: filters.minPosts };
+    if (filters.verified !== undefined) match['profile.isVerified'] = filters.verified;
+    if (filters.private !== undefined) match['profile.isPrivate'] = filters.private;
+    if (filters.bio) {
+        match['profile.biography'] = { $regex: filters.bio.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const total = await collection.countDocuments(match);
+    const records = await collection.find(match)
+        .sort({ processedAt: -1 })
+        .skip(filters.offset || 0)
+        .limit(filters.limit || 100)
+        .toArray();
+
+    return {
+        total,
+        users: records.map(record => ({
+            username: record.followerUsername,
+            processedAt: record.processedAt,
+            deliveryStatus: record.deliveryStatus || null,
+            variant: record.variant || null,
+            source: record.source || null,
+            replied: record.replied || false,
+            unfollowed: record.unfollowed || false,
+            profile: record.profile || null
+        }))
+    };
+}
+
+module.exports = {
+    toStoredProfile,
+    parseProfileQuery,
+    listProcessedUsers
+};
@@ -0,0 +1,167 @@
+const { getMongoDb } = require('./store');
+
+// Where new followers are detected: the notifications page, a diff of the followers list, or both
+const FOLLOWER_SOURCES = ['notifications', 'followers_list', 'both'];
+
+// Latest followers list per account, for diffing against the next run
+const snapshotsCollectionName = process.env.FOLLOWER_SNAPSHOTS_COLLECTION || 'follower_snapshots';
+// Follows and unfollows found between snapshots, one record per run with changes
+const changesCollectionName = process.env.FOLLOWER_CHANGES_COLLECTION || 'follower_changes';
+
+/**
+ * Validate a job's follower source; returns an error message or null
+ */
+function validateFollowerSource(source) {
+    if (!FOLLOWER_SOURCES.includes(source)) {
+        return `followerSource must be one of: ${FOLLOWER_SOURCES.join(', ')}`;
+    }
+    if (source !== 'notifications' && !process.env.MONGODB_URI) {
+        return `followerSource ${source} needs MongoDB (MONGODB_URI) to store followers list snapshots`;
+    }
+    return null;
+}
+
+/**
+ * Check whether a follower source reads the followers list
+ */
+function usesFollowersList(source) {
+    return source === 'followers_list' || source === 'both';
+}
+
+/**
+ * Get the snapshots collection on the shared store connection
+ */
+async function getSnapshotsCollection() {
+    const db = await getMongoDb();
+    return db.collection(snapshotsCollectionName);
+}
+
+/**
+ * Get the follower changes collection on the shared store connection
+ */
+async function getChangesCollection() {
+    const db = await getMongoDb();
+    return db.collection(changesCollectionName);
+}
+
+/**
+ * Get the stored followers list snapshot of an account, or null before the first one
+ */
+async function getSnapshot(accountOwner) {
+    const collection = await getSnapshotsCollection();
+    return collection.findOne({ _id: accountOwner.toLowerCase() });
+}
+
+/**
+ * Store an account's followers list.
+ * A partial list (scrolling stopped before the end) is merged into the previous snapshot,
+ * so followers that weren't reached aren't dropped from it.
+ */
+async function saveSnapshot(accountOwner, followers, { complete = true, previous = null } = {}) {
+    const collection = await getSnapshotsCollection();
+    const merged = complete || !previous ?
+        followers :
+        Array.from(new Set([...previous.followers, ...followers]));
+
+    const snapshot = {
+        accountOwner,
+        followers: merged,
+        count: merged.length,
+        complete,
+        takenAt: new Date()
+    };
+    await collection.updateOne({ _id: accountOwner.toLowerCase() }, { $set: snapshot }, { upsert: true });
+
+    return snapshot;
+}
+
+/**
+ * Followers in the current list that weren't in the previous one
+ */
+function findNewFollowers(previousFollowers, currentFollowers) {
+    const known = new Set(previousFollowers.map(username => username.toLowerCase()));
+    return currentFollowers.filter(username => !known.has(username.toLowerCase()));
+}
+
+/**
+ * Compare two followers lists. Unfollows are only known when the current list is complete,
+ * since a follower missing from a partial list may just not have been reached.
+ */
+function diffFollowers(previousFollowers, currentFollowers, complete = true) {
+    return {
+        follows: findNewFollowers(previousFollowers, currentFollowers),
+        unfollows: complete ? findNewFollowers(currentFollowers, previousFollowers) : []
+    };
+}
+
+/**
+ * Record the follows and unfollows found for an account in one run (nothing is stored without changes)
+ */
+async function recordChanges(accountOwner, { follows, unfollows }, { followerCount, complete }) {
+    if (follows.length === 0 && unfollows.length === 0) return null;
+
+    const collection = await getChangesCollection();
+    const record = {
+        accountOwner,
+        follows,
+        unfollows,
+        followerCount,
+        complete,
+        detectedAt: new Date()
+    };
+    await collection.insertOne(record);
+
+    return record;
+}
+
+/**
+ * List an account's follower changes, newest first, with totals over the range
+ */
+async function getChanges(accountOwner, { from, to, limit = 100 } = {}) {
+    const collection = await getChangesCollection();
+    const query = { accountOwner };
+    if (from || to) {
+        query.detectedAt = {};
+        if (from) query.detectedAt.$gte = from;
+        if (to) query.detectedAt.$lte = to;
+    }
+
+    const records = await collection.find(query).sort({ detectedAt: -1 }).toArray();
+
+    return {
+        totals: {
+            follows: records.reduce((sum, record) => sum + record.follows.length, 0),
+            unfollows: records.reduce((sum, record) => sum + record.unfollows.length, 0)
+        },
+        changes: records.slice(0, limit).map(({ _id, accountOwner: account, ...change }) => change)
+    };
+}
+
+/**
+ * Usernames that unfollowed an account since a date
+ */
+async function getUnfollowedSince(accountOwner, since) {
+    const collection = await getChangesCollection();
+    const records = await collection.find({ accountOwner, detectedAt: { $gte: since } }).sort({ detectedAt: 1 }).toArray();
+
+    // Someone who followed again afterwards is no longer an unfollower
+    const unfollowed = new Set();
+    records.forEach(record => {
+        record.follows.forEach(username => unfollowed.delete(username.toLowerCase()));
+        record.unfollows.forEach(username => unfollowed.add(username.toLowerCase()));
+    });
+    return unfollowed;
+}
+
+module.exports = {
+    FOLLOWER_SOURCES,
+    validateFollowerSource,
+    usesFollowersList,
+    getSnapshot,
+    saveSnapshot,
+    findNewFollowers,
+    diffFollowers,
+    recordChanges,
+    getChanges,
+    getUnfollowedSince
+};
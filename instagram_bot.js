@@ -2,6 +2,17 @@ const { chromium } = require('playwright');
 const { MongoClient } = require('mongodb');
 const fs = require('fs');
 const dotenv = require('dotenv');
+const accountSettings = require('./account_settings');
+const rateLimiter = require('./rate_limiter');
+const sendingWindow = require('./sending_window');
+const messageTemplate = require('./message_template');
+const messageVariants = require('./message_variants');
+const mediaAssets = require('./media_assets');
+const { getMongoDb } = require('./store');
+const { SUPPORTED_LANGUAGES, getAllFollowPhrases } = require('./notification_phrases');
+const followerSnapshots = require('./follower_snapshots');
+const followerFilters = require('./follower_filters');
+const followerProfiles = require('./follower_profiles');
 
 // Load environment variables
 dotenv.config();
@@ -11,6 +22,63 @@ const mongoUri = process.env.MONGODB_URI;
 const dbName = process.env.DB_NAME || 'instagram_bot';
 const collectionName = process.env.COLLECTION_NAME || 'processed_users';
 
+// Most followers read from the followers list in one run, and the share of the follower count
+// that has to be read for the list to count as complete
+const followersListLimit = Number(process.env.FOLLOWERS_LIST_MAX) || 2000;
+const FOLLOWERS_LIST_COMPLETE_RATIO = 0.95;
+
+// Drip sequence follow-ups sent per run, and send attempts before a follower's sequence is given up
+const followUpBatchSize = Number(process.env.FOLLOW_UP_BATCH) || 20;
+const MAX_FOLLOW_UP_ATTEMPTS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Outcomes of sendWelcomeMessage: confirmed in the thread, sent but not confirmed, or not sent
+const DELIVERY_STATUS = {
+    SENT: 'sent',
+    UNCONFIRMED: 'unconfirmed',
+    FAILED: 'failed'
+};
+
+// Why a message was not sent
+const FAILURE_REASONS = {
+    USER_NOT_FOUND: 'user_not_found',
+    NO_MESSAGE_BUTTON: 'no_message_button',
+    TEXTAREA_NOT_FOUND: 'textarea_not_found',
+    DTSG_ERROR: 'dtsg_error',
+    MESSAGING_RESTRICTED: 'messaging_restricted',
+    RATE_LIMITED: 'rate_limited',
+    SEND_FAILED: 'send_failed',
+    ATTACHMENT_FAILED: 'attachment_failed',
+    NAVIGATION_ERROR: 'navigation_error'
+};
+
+// How each failure is retried: 'immediate' tries again within sendWelcomeMessage,
+// 'later' leaves the user for a later run, 'never' records the user so they aren't tried again
+const RETRY_POLICY = {
+    [FAILURE_REASONS.USER_NOT_FOUND]: 'never',
+    [FAILURE_REASONS.NO_MESSAGE_BUTTON]: 'later',
+    [FAILURE_REASONS.TEXTAREA_NOT_FOUND]: 'immediate',
+    [FAILURE_REASONS.DTSG_ERROR]: 'immediate',
+    [FAILURE_REASONS.MESSAGING_RESTRICTED]: 'never',
+    [FAILURE_REASONS.RATE_LIMITED]: 'later',
+    [FAILURE_REASONS.SEND_FAILED]: 'later',
+    [FAILURE_REASONS.ATTACHMENT_FAILED]: 'later',
+    [FAILURE_REASONS.NAVIGATION_ERROR]: 'immediate'
+};
+
+// Instagram's notices for a message that didn't go through, most specific first
+const DELIVERY_FAILURE_PATTERNS = [
+    { pattern: /try again later/i, reason: FAILURE_REASONS.RATE_LIMITED },
+    { pattern: /we restrict certain activity/i, reason: FAILURE_REASONS.RATE_LIMITED },
+    { pattern: /can['’]t (receive|message)/i, reason: FAILURE_REASONS.MESSAGING_RESTRICTED },
+    { pattern: /couldn['’]t send/i, reason: FAILURE_REASONS.SEND_FAILED },
+    { pattern: /failed to send/i, reason: FAILURE_REASONS.SEND_FAILED },
+    { pattern: /not delivered/i, reason: FAILURE_REASONS.SEND_FAILED }
+];
+
+// How long a run backs off when Instagram rate-limits the account
+const rateLimitBackoffMs = (Number(process.env.RATE_LIMIT_BACKOFF_MINUTES) || 60) * 60 * 1000;
+
 /**
  * Connects to MongoDB
  */
@@ -40,6 +108,16 @@ async function connectToMongoDB() {
     }
 }
 
+/**
+ * Get the processed-users collection on the shared store connection (for API reads), or null without MongoDB
+ */
+async function getProcessedUsersCollection() {
+    if (!mongoUri) return null;
+
+    const db = await getMongoDb();
+    return db.collection(collectionName);
+}
+
 /**
  * Load cookies from a JSON file or buffer
  */
@@ -94,9 +172,12 @@ function loadCookies(cookieInput) {
 }
 
 /**
- * Initialize browser with cookies, supports browserless.io
+ * Initialize browser with cookies, supports browserless.io.
+ * `options.language` asks Instagram for its UI in that language instead of the account's own.
  */
-async function initBrowser(cookiesObj, headless = true, browserWSEndpoint = null) {
+async function initBrowser(cookiesObj, headless = true, browserWSEndpoint = null, options = {}) {
+    const { language = null } = options;
+
     let browser;
     const maxRetries = 5;
     let retryCount = 0;
@@ -144,8 +225,9 @@ async function initBrowser(cookiesObj, headless = true, browserWSEndpoint = null
                 context = await browser.newContext({
                     viewport: { width: 1280, height: 800 },
                     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                    locale: language || undefined,
                     extraHTTPHeaders: {
-                        'Accept-Language': 'en-US,en;q=0.9',
+                        'Accept-Language': language ? `${language},en;q=0.5` : 'en-US,en;q=0.9',
                         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
                         'Accept-Encoding': 'gzip, deflate, br',
                         'Connection': 'keep-alive'
@@ -243,14 +325,19 @@ async function initBrowser(cookiesObj, headless = true, browserWSEndpoint = null
 }
 
 /**
- * Check notifications for new followers
+ * Check notifications for new followers.
+ * Follow notifications are recognised by their text in any language in notification_phrases.js;
+ * when Instagram renders a language without phrases, timestamped rows with a profile link and a
+ * follow button (and no post thumbnail) are used instead. Returns { followers, language, pageLoaded, markupFound }.
  */
-async function checkNotifications(page, collection, accountOwner) {
+async function checkNotifications(page, collection, accountOwner, options = {}) {
+    const { language = null } = options;
+
     try {
         console.log(`Checking notifications for new followers of ${accountOwner}...`);
 
-        // Navigate to notifications page
-        await page.goto('https://www.instagram.com/notifications/', {
+        // Navigate to notifications page, in the forced UI language if there is one
+        await page.goto(`https://www.instagram.com/notifications/${language ? `?hl=${language}` : ''}`, {
             timeout: 60000
         });
         // Wait 2 seconds after navigation
@@ -262,59 +349,237 @@ async function checkNotifications(page, collection, accountOwner) {
         await autoScroll(page);
 
         // Extract follower notifications with Playwright's evaluateHandle
-        const newFollowers = await page.evaluate(() => {
+        const detected = await page.evaluate(({ phrases, supportedLanguages, accountOwner }) => {
+            const normalize = text => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+            const pageLanguage = normalize(document.documentElement.lang).split(/[-_]/)[0];
+            // Single-segment links that are navigation rather than profiles
+            const reservedPaths = ['explore', 'reels', 'direct', 'accounts', 'notifications', 'stories', 'about', 'legal', 'developer', 'web', 'emails', accountOwner.toLowerCase()];
+            const isProfileLink = link => {
+                const match = /^\/([A-Za-z0-9._]+)\/?$/.exec(link.getAttribute('href'));
+                return Boolean(match) && !reservedPaths.includes(match[1].toLowerCase());
+            };
+            const profileLinkIn = container => Array.from(container.querySelectorAll('a[href]')).find(isProfileLink);
+            const usernameOf = link => link.getAttribute('href').replace(/\//g, '') || link.textContent.trim();
+
             const followers = [];
-            // Find all elements containing "started following you" text
-            const elements = Array.from(document.querySelectorAll('div > div > div > span'));
-
-            elements.forEach(element => {
-                if (element.textContent.includes('started following you')) {
-                    // Get the username from the link element
-                    const usernameElement = element.closest('div').querySelector('a');
-                    if (usernameElement) {
-                        const username = usernameElement.textContent.trim();
-                        if (username && !followers.includes(username)) {
-                            followers.push(username);
+            const addFollower = username => {
+                if (username && !followers.includes(username)) followers.push(username);
+            };
+
+            // Rows around profile links: the nearest container of the link that also holds one of `selector`
+            const profileLinks = Array.from(document.querySelectorAll('a[href]')).filter(isProfileLink);
+            const findRows = selector => {
+                const found = [];
+                profileLinks.forEach(link => {
+                    let container = link.parentElement;
+                    for (let depth = 0; container && depth < 6; depth++, container = container.parentElement) {
+                        if (container.querySelector(selector)) {
+                            if (!found.includes(container)) found.push(container);
+                            break;
                         }
                     }
-                }
-            });
+                });
+                return found;
+            };
 
-            return followers;
-        });
+            // Notification rows carry a timestamp; "Suggested for you" rows don't, so they don't count as markup
+            const timestampedRows = findRows('time');
 
-        console.log(`Found ${newFollowers.length} notifications about new followers`);
+            // Text cue: "started following you" in any known language
+            let phraseMatches = 0;
+            Array.from(document.querySelectorAll('span')).forEach(element => {
+                const text = normalize(element.textContent);
+                if (!phrases.some(phrase => text.includes(phrase))) return;
 
-        // Only filter if we have a valid collection (MongoDB connection)
-        if (collection) {
-            // Filter out already processed users
-            const unprocessedFollowers = [];
-            for (const username of newFollowers) {
-                try {
-                    const existingUser = await collection.findOne({
-                        followerUsername: username,
-                        accountOwner: accountOwner
-                    });
-                    if (!existingUser) {
-                        unprocessedFollowers.push(username);
-                    }
-                } catch (dbError) {
-                    console.error(`Error checking user ${username} in database:`, dbError);
-                    // If there's a DB error, assume the user is unprocessed
-                    unprocessedFollowers.push(username);
-                }
+                phraseMatches++;
+                const container = element.closest('div');
+                const link = container && profileLinkIn(container);
+                if (link) addFollower(usernameOf(link));
+            });
+
+            // Structural cue, only when the page is in a detected language without phrases: a timestamped row
+            // with a follow-back button and no post thumbnail. "Suggested for you" rows have a follow button
+            // too, but no timestamp.
+            const structural = pageLanguage !== '' && !supportedLanguages.includes(pageLanguage);
+            if (structural) {
+                timestampedRows.forEach(row => {
+                    const hasButton = row.querySelector('button, [role="button"]');
+                    const hasPost = row.querySelector('a[href*="/p/"], a[href*="/reel/"]');
+                    const link = profileLinkIn(row);
+                    if (hasButton && !hasPost && link) addFollower(usernameOf(link));
+                });
             }
-            console.log(`${unprocessedFollowers.length} new followers to process`);
-            return unprocessedFollowers;
-        } else {
-            // If no collection, just return all followers
-            console.log(`No database connection, processing all ${newFollowers.length} followers`);
-            return newFollowers;
+
+            return {
+                followers,
+                language: pageLanguage || null,
+                structural,
+                markupFound: phraseMatches > 0 || timestampedRows.length > 0
+            };
+        }, { phrases: getAllFollowPhrases(), supportedLanguages: SUPPORTED_LANGUAGES, accountOwner });
+
+        console.log(`Found ${detected.followers.length} notifications about new followers` +
+            ` (UI language: ${detected.language || 'unknown'}${detected.structural ? ', matched by page structure' : ''})`);
+        if (!detected.markupFound) {
+            console.log('Notifications page loaded but no notification markup was recognised');
         }
+
+        return {
+            followers: await filterUnprocessedFollowers(collection, detected.followers, accountOwner),
+            language: detected.language,
+            pageLoaded: true,
+            markupFound: detected.markupFound
+        };
     } catch (error) {
         console.error('Error checking notifications:', error);
-        return [];
+        return { followers: [], language: null, pageLoaded: false, markupFound: false };
+    }
+}
+
+/**
+ * Open the account's followers list and scroll it to the end (or `limit` entries).
+ * Returns { followers, complete }; complete is false when scrolling stopped before the end of the list.
+ */
+async function collectFollowersList(page, accountOwner, limit = followersListLimit) {
+    console.log(`Reading the followers list of ${accountOwner}...`);
+
+    await page.goto(`https://www.instagram.com/${accountOwner}/followers/`, { timeout: 60000 });
+    await page.waitForSelector('div[role="dialog"] a[href]', { timeout: 30000 });
+
+    // The exact follower count sits in the title of the profile header's followers link
+    const expectedCount = await page.evaluate(owner => {
+        const counter = document.querySelector(`a[href="/${owner}/followers/"] span[title]`);
+        const digits = counter ? counter.getAttribute('title').replace(/\D/g, '') : '';
+        return digits ? Number(digits) : null;
+    }, accountOwner);
+
+    const followers = [];
+    let idleRounds = 0;
+
+    // Keep scrolling until a few rounds in a row load nobody new
+    while (followers.length < limit && idleRounds < 4) {
+        const batch = await page.evaluate(() => {
+            const dialog = document.querySelector('div[role="dialog"]');
+            if (!dialog) return [];
+
+            const scroller = Array.from(dialog.querySelectorAll('div'))
+                .find(element => element.scrollHeight > element.clientHeight + 10 &&
+                    ['auto', 'scroll'].includes(getComputedStyle(element).overflowY));
+            if (scroller) scroller.scrollTop = scroller.scrollHeight;
+
+            return Array.from(dialog.querySelectorAll('a[href]'))
+                .map(link => /^\/([A-Za-z0-9._]+)\/?$/.exec(link.getAttribute('href')))
+                .filter(Boolean)
+                .map(match => match[1]);
+        });
+
+        const before = followers.length;
+        batch.forEach(username => {
+            if (!followers.includes(username)) followers.push(username);
+        });
+        idleRounds = followers.length > before ? 0 : idleRounds + 1;
+
+        await sleep(1500 + Math.floor(Math.random() * 1000));
+    }
+
+    // Scrolling can stall before the end, so a list well short of the follower count is partial
+    // (a few entries are always missing, e.g. deactivated accounts)
+    const complete = followers.length < limit &&
+        (expectedCount === null || followers.length >= expectedCount * FOLLOWERS_LIST_COMPLETE_RATIO);
+    console.log(`Read ${followers.length}${expectedCount === null ? '' : ` of ${expectedCount}`} followers of ${accountOwner}${complete ? '' : ' (partial list)'}`);
+
+    return { followers: followers.slice(0, limit), complete };
+}
+
+/**
+ * Find new followers by diffing the followers list against the account's stored snapshot, and record
+ * the follows and unfollows since the previous one. The first run only stores the snapshot (nobody
+ * counts as new). Dry runs leave the snapshot and change history as they are.
+ * Returns { followers, baseline, complete, unfollows } with followers already messaged filtered out.
+ */
+async function checkFollowersList(page, collection, accountOwner, { dryRun = false } = {}) {
+    const { followers: current, complete } = await collectFollowersList(page, accountOwner);
+    const previous = await followerSnapshots.getSnapshot(accountOwner);
+
+    // An empty list is more likely a page that didn't load than an account that lost every follower
+    if (current.length === 0 && previous && previous.followers.length > 0) {
+        throw new Error('Followers list came back empty');
+    }
+
+    if (!previous) {
+        if (!dryRun) await followerSnapshots.saveSnapshot(accountOwner, current, { complete });
+        console.log(`First followers list snapshot for ${accountOwner} (${current.length} followers), nobody counts as new yet`);
+        return { followers: [], baseline: true, complete, unfollows: [] };
+    }
+
+    const changes = followerSnapshots.diffFollowers(previous.followers, current, complete);
+    console.log(`${changes.follows.length} followers of ${accountOwner} are not in the previous snapshot, ${changes.unfollows.length} have left`);
+
+    if (!dryRun) {
+        await followerSnapshots.saveSnapshot(accountOwner, current, { complete, previous });
+        await followerSnapshots.recordChanges(accountOwner, changes, { followerCount: current.length, complete });
+        await markFollowerChanges(collection, accountOwner, changes);
+    }
+
+    return {
+        followers: await filterUnprocessedFollowers(collection, changes.follows, accountOwner),
+        baseline: false,
+        complete,
+        unfollows: changes.unfollows
+    };
+}
+
+/**
+ * Flag welcomed followers who unfollowed (ending their drip sequences), and clear the flag for any who came back
+ */
+async function markFollowerChanges(collection, accountOwner, { follows, unfollows }) {
+    const now = new Date();
+
+    if (unfollows.length > 0) {
+        const unfollowed = { accountOwner, followerUsername: { $in: unfollows } };
+        await collection.updateMany(unfollowed, { $set: { unfollowed: true, unfollowedAt: now } });
+        await collection.updateMany(
+            { ...unfollowed, sequenceStatus: 'active' },
+            { $set: { sequenceStatus: 'unfollowed', nextFollowUpAt: null } }
+        );
+    }
+    if (follows.length > 0) {
+        await collection.updateMany(
+            { accountOwner, followerUsername: { $in: follows }, unfollowed: true },
+            { $set: { unfollowed: false, refollowedAt: now } }
+        );
+    }
+}
+
+/**
+ * Filter out followers that were already processed for this account
+ */
+async function filterUnprocessedFollowers(collection, followers, accountOwner) {
+    // Only filter if we have a valid collection (MongoDB connection)
+    if (!collection) {
+        // If no collection, just return all followers
+        console.log(`No database connection, processing all ${followers.length} followers`);
+        return followers;
+    }
+
+    const unprocessedFollowers = [];
+    for (const username of followers) {
+        try {
+            const existingUser = await collection.findOne({
+                followerUsername: username,
+                accountOwner: accountOwner
+            });
+            if (!existingUser) {
+                unprocessedFollowers.push(username);
+            }
+        } catch (dbError) {
+            console.error(`Error checking user ${username} in database:`, dbError);
+            // If there's a DB error, assume the user is unprocessed
+            unprocessedFollowers.push(username);
+        }
     }
+    console.log(`${unprocessedFollowers.length} new followers to process`);
+    return unprocessedFollowers;
 }
 
 /**
@@ -374,176 +639,415 @@ function loadSelectors() {
 }
 
 /**
- * Send welcome message to follower
+ * Scrape profile details from the follower's profile page (the page must already be open).
+ * Counts, privacy, verification and bio are null when they can't be read.
  */
-async function sendWelcomeMessage(page, username, message) {
-    let maxRetries = 2;
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        let dtsgErrorDetected = false;
-        const consoleListener = msg => {
-            const text = msg.text();
-            if (text && text.includes('DTSG response is not valid')) {
-                dtsgErrorDetected = true;
-            }
-        };
-        try {
-            console.log(`Sending welcome message to ${username}... (attempt ${attempt + 1})`);
-            await page.goto(`https://www.instagram.com/${username}/`, { timeout: 60000 });
-            await sleep(2000);
-            // Attach DTSG error listener immediately after navigation
-            page.on('console', consoleListener);
-
-            // Load saved selectors
-            const savedSelectors = loadSelectors();
-
-            // Step 1: First try to find direct Message button on profile page
-            console.log("Looking for direct Message button...");
+async function scrapeProfile(page, username) {
+    try {
+        return await page.evaluate(username => {
+            // og:title looks like "Full Name (@username) • Instagram photos and videos"
+            const ogTitle = document.querySelector('meta[property="og:title"]');
+            const title = ogTitle ? ogTitle.getAttribute('content') : document.title;
+            const match = title && title.match(/^(.*?)\s*\(@/);
+
+            // "1,234 Followers, 56 Following, 78 Posts - ..." (abbreviated as 1.2K / 3M on big accounts)
+            const parseCount = text => {
+                const countMatch = /^([\d.,]+)\s*([KkMm]?)/.exec(text.trim());
+                if (!countMatch) return null;
+                const multiplier = { k: 1000, m: 1000000 }[countMatch[2].toLowerCase()] || 1;
+                const number = multiplier > 1 ?
+                    parseFloat(countMatch[1].replace(',', '.')) :
+                    Number(countMatch[1].replace(/[.,]/g, ''));
+                return Number.isFinite(number) ? Math.round(number * multiplier) : null;
+            };
+            const ogDescription = document.querySelector('meta[property="og:description"]');
+            const counts = ogDescription ?
+                (ogDescription.getAttribute('content').split(' - ')[0].split(/,\s+(?=\d)/)).map(parseCount) :
+                [];
+
+            // The exact follower count is in the title of the followers link
+            const followersCounter = document.querySelector(`a[href="/${username}/followers/"] span[title]`);
+            const exactDigits = followersCounter ? followersCounter.getAttribute('title').replace(/\D/g, '') : '';
+
+            const header = document.querySelector('header');
+            const pageText = document.body.innerText || '';
+            const verifiedLabels = ['Verified', 'Verificado', 'Verifiziert', 'Подтвержденный', 'Vérifié', 'Verificato'];
+            const privateNotices = ['This account is private', 'Esta cuenta es privada', 'Dieses Konto ist privat', 'Это закрытый аккаунт', 'Ce compte est privé', 'Questo account è privato'];
+            const bio = header ? header.querySelector('h1') : null;
+            const avatar = header ? header.querySelector('img') : null;
+            const ogImage = document.querySelector('meta[property="og:image"]');
 
-            let messageButtonFound = false;
-            const directMessageSelectors = [
-                'div[role="button"]:has-text("Message")',
-                'div[role="button"][tabindex="0"]:has-text("Message")',
-                'div[role="button"][tabindex="0"]'
-            ];
+            return {
+                username,
+                fullName: match && match[1].trim() ? match[1].trim() : null,
+                followersCount: exactDigits ? Number(exactDigits) : (counts[0] === undefined ? null : counts[0]),
+                followingCount: counts[1] === undefined ? null : counts[1],
+                postsCount: counts[2] === undefined ? null : counts[2],
+                isVerified: header ? verifiedLabels.some(label => header.querySelector(`[aria-label="${label}"], [title="${label}"]`)) : null,
+                isPrivate: header ? privateNotices.some(notice => pageText.includes(notice)) : null,
+                biography: bio ? bio.innerText.trim() : null,
+                profilePictureUrl: avatar ? avatar.src : (ogImage ? ogImage.getAttribute('content') : null)
+            };
+        }, username);
+    } catch (error) {
+        console.log(`Could not read profile details for ${username}:`, error.message);
+        return { username, fullName: null };
+    }
+}
 
-            // Try each direct message selector
-            for (const selector of directMessageSelectors) {
-                try {
-                    const messageButton = await page.$(selector);
-                    if (messageButton) {
-                        // Check if this button contains "Message" text
-                        const buttonText = await messageButton.textContent();
-                        if (buttonText && buttonText.includes('Message')) {
-                            await messageButton.click();
-                            console.log(`Clicked direct message button using selector: ${selector}`);
-                            messageButtonFound = true;
-
-                            console.log("Waiting 3 seconds for 'Not Now' popup to appear...");
-                            await sleep(3000);
-
-                            // Check for "Not Now" popup after waiting
-                            console.log("Checking for 'Not Now' popup after clicking Message button...");
-                            try {
-                                const notNowSelectors = [
-                                    'button:has-text("Not Now")'
-                                ];
-
-                                let notNowFound = false;
-                                for (const notNowSelector of notNowSelectors) {
-                                    const notNowButton = await page.$(notNowSelector);
-                                    if (notNowButton) {
-                                        await notNowButton.click();
-                                        console.log(`Clicked 'Not Now' button using selector: ${notNowSelector}`);
-                                        await sleep(2000);
-                                        notNowFound = true;
-                                        break;
-                                    }
-                                }
-
-                                if (!notNowFound) {
-                                    console.log("No 'Not Now' popup detected after Message button");
-                                }
-                            } catch (err) {
-                                console.log("No 'Not Now' popup detected after Message button");
+/**
+ * Open the DM thread with a user from their profile page (the page must already be open).
+ * Tries the direct Message button first, then Options > Send message.
+ */
+async function openMessageThread(page, username) {
+    // Load saved selectors
+    const savedSelectors = loadSelectors();
+
+    // Step 1: First try to find direct Message button on profile page
+    console.log("Looking for direct Message button...");
+
+    let messageButtonFound = false;
+    const directMessageSelectors = [
+        'div[role="button"]:has-text("Message")',
+        'div[role="button"][tabindex="0"]:has-text("Message")',
+        'div[role="button"][tabindex="0"]'
+    ];
+
+    // Try each direct message selector
+    for (const selector of directMessageSelectors) {
+        try {
+            const messageButton = await page.$(selector);
+            if (messageButton) {
+                // Check if this button contains "Message" text
+                const buttonText = await messageButton.textContent();
+                if (buttonText && buttonText.includes('Message')) {
+                    await messageButton.click();
+                    console.log(`Clicked direct message button using selector: ${selector}`);
+                    messageButtonFound = true;
+
+                    console.log("Waiting 3 seconds for 'Not Now' popup to appear...");
+                    await sleep(3000);
+
+                    // Check for "Not Now" popup after waiting
+                    console.log("Checking for 'Not Now' popup after clicking Message button...");
+                    try {
+                        const notNowSelectors = [
+                            'button:has-text("Not Now")'
+                        ];
+
+                        let notNowFound = false;
+                        for (const notNowSelector of notNowSelectors) {
+                            const notNowButton = await page.$(notNowSelector);
+                            if (notNowButton) {
+                                await notNowButton.click();
+                                console.log(`Clicked 'Not Now' button using selector: ${notNowSelector}`);
+                                await sleep(2000);
+                                notNowFound = true;
+                                break;
                             }
+                        }
 
-                            break;
+                        if (!notNowFound) {
+                            console.log("No 'Not Now' popup detected after Message button");
                         }
+                    } catch (err) {
+                        console.log("No 'Not Now' popup detected after Message button");
                     }
-                } catch (err) {
-                    console.log(`Error with direct message selector ${selector}`);
+
+                    break;
                 }
             }
+        } catch (err) {
+            console.log(`Error with direct message selector ${selector}`);
+        }
+    }
 
-            // If direct message button wasn't found, use the Options button approach
-            if (!messageButtonFound) {
-                // Try the Options button
-                console.log("Looking for Options button...");
+    // If direct message button wasn't found, use the Options button approach
+    if (!messageButtonFound) {
+        // Try the Options button
+        console.log("Looking for Options button...");
 
-                let optionsClicked = false;
-                const optionsSelectors = [
-                    'svg[aria-label="Options"]',
-                    '[aria-label="Options"]',
-                    '[aria-label="More options"]'
-                ];
+        let optionsClicked = false;
+        const optionsSelectors = [
+            'svg[aria-label="Options"]',
+            '[aria-label="Options"]',
+            '[aria-label="More options"]'
+        ];
 
-                // Try option selectors
-                for (const selector of optionsSelectors) {
-                    try {
-                        const optionsButton = await page.$(selector);
-                        if (optionsButton) {
-                            await optionsButton.click();
-                            console.log(`Clicked options button using selector: ${selector}`);
-                            optionsClicked = true;
-                            await sleep(3000);
-                            break;
-                        }
-                    } catch (err) {
-                        console.log(`Error with options selector ${selector}`);
-                    }
+        // Try option selectors
+        for (const selector of optionsSelectors) {
+            try {
+                const optionsButton = await page.$(selector);
+                if (optionsButton) {
+                    await optionsButton.click();
+                    console.log(`Clicked options button using selector: ${selector}`);
+                    optionsClicked = true;
+                    await sleep(3000);
+                    break;
                 }
+            } catch (err) {
+                console.log(`Error with options selector ${selector}`);
+            }
+        }
 
-                if (!optionsClicked) {
-                    console.log(`Failed to click options button for ${username}`);
-                    return false;
-                }
+        if (!optionsClicked) {
+            console.log(`Failed to click options button for ${username}`);
+            return false;
+        }
 
-                // Click "Send message" in the popup
-                console.log("Looking for 'Send message' button...");
-                await sleep(5000);
-                let messageButtonClicked = false;
-                const sendMessageSelectors = [
-                    'button:has-text("Send message")',
-                    'button >> text=Send message',
-                    '[role="button"]:has-text("Send message")'
-                ];
-
-                for (const selector of sendMessageSelectors) {
-                    try {
-                        const sendMessageButton = await page.$(selector);
-                        if (sendMessageButton) {
-                            await sendMessageButton.click();
-                            console.log(`Clicked "${selector}"`);
-                            messageButtonClicked = true;
-                            await sleep(3000);
-                            break;
-                        }
-                    } catch (err) {
-                        console.log(`Error with selector ${selector}`);
-                    }
+        // Click "Send message" in the popup
+        console.log("Looking for 'Send message' button...");
+        await sleep(5000);
+        let messageButtonClicked = false;
+        const sendMessageSelectors = [
+            'button:has-text("Send message")',
+            'button >> text=Send message',
+            '[role="button"]:has-text("Send message")'
+        ];
+
+        for (const selector of sendMessageSelectors) {
+            try {
+                const sendMessageButton = await page.$(selector);
+                if (sendMessageButton) {
+                    await sendMessageButton.click();
+                    console.log(`Clicked "${selector}"`);
+                    messageButtonClicked = true;
+                    await sleep(3000);
+                    break;
                 }
+            } catch (err) {
+                console.log(`Error with selector ${selector}`);
+            }
+        }
 
-                if (!messageButtonClicked) {
-                    console.log(`Failed to click message button for ${username}`);
-                    return false;
-                }
+        if (!messageButtonClicked) {
+            console.log(`Failed to click message button for ${username}`);
+            return false;
+        }
+    }
+
+    // Handle "Not Now" popup if it appears
+    console.log("Checking for general 'Not Now' popup...");
+
+    try {
+        const notNowSelectors = [
+            'button:has-text("Not Now")'
+        ];
+
+        let notNowFound = false;
+        for (const notNowSelector of notNowSelectors) {
+            const notNowButton = await page.$(notNowSelector);
+            if (notNowButton) {
+                await notNowButton.click();
+                console.log(`Clicked 'Not Now' button using selector: ${notNowSelector}`);
+                await sleep(2000);
+                notNowFound = true;
+                break;
             }
+        }
+
+        if (!notNowFound) {
+            console.log("No general 'Not Now' popup detected");
+        }
+    } catch (err) {
+        console.log("Error checking for 'Not Now' popup:", err.message);
+    }
 
-            // Handle "Not Now" popup if it appears
-            console.log("Checking for general 'Not Now' popup...");
+    return true;
+}
 
-            try {
-                const notNowSelectors = [
-                    'button:has-text("Not Now")'
-                ];
-
-                let notNowFound = false;
-                for (const notNowSelector of notNowSelectors) {
-                    const notNowButton = await page.$(notNowSelector);
-                    if (notNowButton) {
-                        await notNowButton.click();
-                        console.log(`Clicked 'Not Now' button using selector: ${notNowSelector}`);
-                        await sleep(2000);
-                        notNowFound = true;
-                        break;
-                    }
-                }
+/**
+ * Attach images through the DM composer's file input and send them
+ */
+async function sendAttachments(page, filePaths) {
+    try {
+        const fileInput = await page.$('input[type="file"]');
+        if (!fileInput) {
+            console.log('No file input found in the message composer');
+            return false;
+        }
+
+        console.log(`Attaching ${filePaths.length} images...`);
+        await fileInput.setInputFiles(filePaths);
+        await sleep(3000);
+
+        // Attached images wait in the composer until sent, like text
+        const textArea = await page.$('div[role="textbox"], div[contenteditable="true"]');
+        if (textArea) await textArea.click();
+        await page.keyboard.press('Enter');
+        await sleep(5000);
+        console.log('Images sent');
+        return true;
+    } catch (err) {
+        console.error('Error attaching images:', err.message);
+        return false;
+    }
+}
+
+/**
+ * Build the result of a send: a DELIVERY_STATUS plus, for failures, a reason code, details and retry policy
+ */
+function sendResult(status, reason = null, details = null) {
+    return { status, reason, details, retry: reason ? RETRY_POLICY[reason] : null };
+}
+
+/**
+ * Entry for a job's failed users from a failed send result
+ */
+function failureEntry(username, result) {
+    return {
+        username,
+        reason: result.reason,
+        details: result.details,
+        retry: result.retry,
+        timestamp: new Date()
+    };
+}
+
+/**
+ * Read what the DM thread shows: the text of our own (right-aligned) bubbles, Instagram's notices
+ * (next to bubbles, toasts and dialogs) and failed-message icons. Text inside message bubbles and
+ * the composer is not a notice.
+ */
+async function readThreadState(page) {
+    return page.evaluate(() => {
+        const pane = document.querySelector('div[role="main"]') || document.body;
+
+        const notices = Array.from(document.querySelectorAll('[role="alert"], [role="dialog"], div[role="main"] span'))
+            .filter(element => !element.closest('div[dir="auto"], [contenteditable="true"]'))
+            .map(element => element.innerText || '')
+            .filter(text => text && text.length < 200);
+        const failedIcons = Array.from(pane.querySelectorAll('[aria-label*="failed" i], [aria-label*="not sent" i]'))
+            .map(icon => icon.getAttribute('aria-label'));
+
+        const paneRect = pane.getBoundingClientRect();
+        const middle = paneRect.left + paneRect.width / 2;
+        const sentBubbles = Array.from(pane.querySelectorAll('div[role="row"] div[dir="auto"]'))
+            .filter(bubble => {
+                const rect = bubble.getBoundingClientRect();
+                return rect.width > 0 && rect.right > middle;
+            })
+            .map(bubble => (bubble.innerText || '').replace(/\s+/g, ' '));
+
+        return { notices, failedIcons, sentBubbles };
+    });
+}
+
+/**
+ * Snapshot the DM thread right before sending, so that verification only looks at what the send adds
+ */
+async function snapshotThread(page) {
+    try {
+        return await readThreadState(page);
+    } catch (error) {
+        console.error('Error reading the DM thread before sending:', error.message);
+        return { notices: [], failedIcons: [], sentBubbles: [] };
+    }
+}
+
+/**
+ * Entries of `current` that weren't in `previous`, counting repeats (a second identical bubble is new)
+ */
+function addedEntries(previous, current) {
+    const remaining = new Map();
+    previous.forEach(entry => remaining.set(entry, (remaining.get(entry) || 0) + 1));
+
+    return current.filter(entry => {
+        const count = remaining.get(entry) || 0;
+        if (count === 0) return true;
+        remaining.set(entry, count - 1);
+        return false;
+    });
+}
+
+/**
+ * Check the DM thread after sending: the text should show up as a new bubble of ours and no new failure
+ * notice should appear. Bubbles and notices already in the thread before the send (see snapshotThread),
+ * such as an earlier attempt or an old "Couldn't send", are ignored. Returns a send result.
+ */
+async function verifyMessageDelivery(page, messageText, before, timeoutMs = 10000) {
+    const snippet = messageText.replace(/\s+/g, ' ').trim().slice(0, 40);
+    const deadline = Date.now() + timeoutMs;
+    let confirmations = 0;
+
+    try {
+        while (Date.now() < deadline) {
+            await sleep(1000);
+
+            const state = await readThreadState(page);
 
-                if (!notNowFound) {
-                    console.log("No general 'Not Now' popup detected");
+            for (const notice of addedEntries(before.notices, state.notices)) {
+                const match = DELIVERY_FAILURE_PATTERNS.find(({ pattern }) => pattern.test(notice));
+                if (match) {
+                    console.log(`Instagram reported a failed send: ${notice}`);
+                    return sendResult(DELIVERY_STATUS.FAILED, match.reason, notice);
                 }
-            } catch (err) {
-                console.log("Error checking for 'Not Now' popup:", err.message);
+            }
+            const [failedIcon] = addedEntries(before.failedIcons, state.failedIcons);
+            if (failedIcon) {
+                console.log(`Instagram reported a failed send: ${failedIcon}`);
+                return sendResult(DELIVERY_STATUS.FAILED, FAILURE_REASONS.SEND_FAILED, failedIcon);
+            }
+
+            // Failure notices can appear a moment after the bubble, so it has to be seen twice
+            const sentBubble = addedEntries(before.sentBubbles, state.sentBubbles).some(text => text.includes(snippet));
+            if (sentBubble && ++confirmations >= 2) {
+                return sendResult(DELIVERY_STATUS.SENT);
+            }
+        }
+    } catch (error) {
+        console.error('Error verifying message delivery:', error.message);
+    }
+    return sendResult(DELIVERY_STATUS.UNCONFIRMED);
+}
+
+/**
+ * Send welcome message to follower and verify it in the thread; returns a send result
+ * ({ status, reason, details, retry }, see sendResult), plus the scraped `profile` once the message was typed.
+ * `message` is either the text to send or a function that builds it from the scraped profile.
+ * `attachments.paths` are images sent before the text, or after it with `attachments.position` 'after'.
+ */
+async function sendWelcomeMessage(page, username, message, attachments = {}) {
+    const attachmentPaths = attachments.paths || [];
+    const attachFirst = attachments.position !== 'after';
+
+    let maxRetries = 2;
+    let result = null;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        // Failures whose retry policy is 'immediate' get another attempt, anything else is returned
+        if (result) {
+            if (result.retry !== 'immediate') return result;
+            console.log(`Retrying sendWelcomeMessage for ${username} after ${result.reason} (attempt ${attempt + 1})`);
+        }
+
+        let dtsgErrorDetected = false;
+        const consoleListener = msg => {
+            const text = msg.text();
+            if (text && text.includes('DTSG response is not valid')) {
+                dtsgErrorDetected = true;
+            }
+        };
+        try {
+            console.log(`Sending welcome message to ${username}... (attempt ${attempt + 1})`);
+            await page.goto(`https://www.instagram.com/${username}/`, { timeout: 60000 });
+            await sleep(2000);
+            // Attach DTSG error listener immediately after navigation
+            page.on('console', consoleListener);
+
+            const profileMissing = await page.evaluate(() => /Sorry, this page isn't available|Page not found/i.test(document.body.innerText || ''));
+            if (profileMissing) {
+                page.off('console', consoleListener);
+                return sendResult(DELIVERY_STATUS.FAILED, FAILURE_REASONS.USER_NOT_FOUND, `Profile ${username} does not exist`);
+            }
+
+            // Build the message now that the follower's profile is open
+            const profile = await scrapeProfile(page, username);
+            const messageText = typeof message === 'function' ? message(profile) : message;
+
+            // Open the DM thread from the profile page
+            if (!(await openMessageThread(page, username))) {
+                page.off('console', consoleListener);
+                return sendResult(DELIVERY_STATUS.FAILED, FAILURE_REASONS.NO_MESSAGE_BUTTON, 'No Message button or option found on the profile');
             }
 
             // Find and click text area for typing
@@ -574,25 +1078,29 @@ async function sendWelcomeMessage(page, username, message) {
             }
 
             if (!textAreaClicked) {
-                // If we never clicked the text area, check for DTSG error and retry if needed
                 page.off('console', consoleListener);
                 if (dtsgErrorDetected) {
-                    console.log('DTSG error detected before message text area, will retry profile navigation and message send.');
-                    if (attempt < maxRetries) {
-                        continue; // Retry
-                    } else {
-                        console.log('Max retries reached for DTSG error. Giving up.');
-                        return false;
-                    }
+                    console.log('DTSG error detected before message text area');
+                    result = sendResult(DELIVERY_STATUS.FAILED, FAILURE_REASONS.DTSG_ERROR, 'DTSG response is not valid');
+                } else {
+                    console.log(`Failed to click text area for ${username}`);
+                    result = sendResult(DELIVERY_STATUS.FAILED, FAILURE_REASONS.TEXTAREA_NOT_FOUND, 'Message text area not found');
                 }
-                console.log(`Failed to click text area for ${username}`);
-                return false;
+                continue;
+            }
+
+            // Images going first are sent before the text: if they fail the text isn't sent, but a text
+            // send that fails afterwards leaves the images in the thread
+            if (attachmentPaths.length > 0 && attachFirst && !(await sendAttachments(page, attachmentPaths))) {
+                console.log(`Failed to send attachments to ${username}`);
+                return sendResult(DELIVERY_STATUS.FAILED, FAILURE_REASONS.ATTACHMENT_FAILED, 'Images could not be attached');
             }
 
             // Type the message with Shift+Enter for line breaks
             console.log("Typing message...");
+            let threadBefore;
             try {
-                const messageLines = message.split('\n');
+                const messageLines = messageText.split('\n');
                 for (let i = 0; i < messageLines.length; i++) {
                     await page.keyboard.type(messageLines[i]);
                     if (i < messageLines.length - 1) {
@@ -602,30 +1110,241 @@ async function sendWelcomeMessage(page, username, message) {
                     }
                 }
                 console.log("Message typed successfully");
+                threadBefore = await snapshotThread(page);
                 await page.keyboard.press('Enter');
-                console.log("Message sent");
-                await sleep(5000); // Wait 5 seconds after sending the message
-                return true;
+                console.log("Message sent, checking delivery...");
             } catch (err) {
                 console.error("Error typing message:", err.message);
-                return false;
+                return sendResult(DELIVERY_STATUS.FAILED, FAILURE_REASONS.SEND_FAILED, `Error typing message: ${err.message}`);
             }
+
+            // Past this point the message may have gone out, so nothing below retries the send
+            const delivery = await verifyMessageDelivery(page, messageText, threadBefore);
+            console.log(`Delivery to ${username}: ${delivery.status}${delivery.reason ? ` (${delivery.reason})` : ''}`);
+
+            // The text is already delivered, so missing images don't fail the message
+            if (delivery.status !== DELIVERY_STATUS.FAILED && attachmentPaths.length > 0 && !attachFirst &&
+                !(await sendAttachments(page, attachmentPaths))) {
+                console.log(`Message sent to ${username} without its attachments`);
+            }
+            // The profile read on the way is stored with the processed user
+            return { ...delivery, profile };
         } catch (error) {
             page.off('console', consoleListener);
-            if (attempt < maxRetries) {
-                console.log(`Error or DTSG error detected, retrying sendWelcomeMessage for ${username} (attempt ${attempt + 2})`);
+            console.error(`Error messaging ${username} (attempt ${attempt + 1}):`, error.message);
+            result = sendResult(
+                DELIVERY_STATUS.FAILED,
+                dtsgErrorDetected ? FAILURE_REASONS.DTSG_ERROR : FAILURE_REASONS.NAVIGATION_ERROR,
+                error.message
+            );
+        }
+    }
+
+    console.error(`Failed to message ${username} after ${maxRetries + 1} attempts: ${result.reason}`);
+    return result;
+}
+
+/**
+ * Check whether a user has replied in the DM thread.
+ * Incoming messages are laid out on the left of the conversation, our own on the right.
+ * Returns null when the thread could not be checked.
+ */
+async function checkForReply(page, username) {
+    try {
+        await page.goto(`https://www.instagram.com/${username}/`, { timeout: 60000 });
+        await sleep(2000);
+
+        if (!(await openMessageThread(page, username))) {
+            return null;
+        }
+        await sleep(3000);
+
+        return await page.evaluate(() => {
+            const pane = document.querySelector('div[role="main"]') || document.body;
+            const paneRect = pane.getBoundingClientRect();
+            const middle = paneRect.left + paneRect.width / 2;
+            const bubbles = Array.from(pane.querySelectorAll('div[role="row"] div[dir="auto"]'))
+                .map(bubble => bubble.getBoundingClientRect())
+                .filter(rect => rect.width > 0);
+
+            if (bubbles.length === 0) return null;
+            return bubbles.some(rect => rect.right < middle);
+        });
+    } catch (error) {
+        console.error(`Error checking reply from ${username}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Check DM threads of recently welcomed followers (A/B tests) for replies and record them
+ */
+async function checkVariantReplies(page, collection, accountOwner, jobId) {
+    const batchSize = Number(process.env.REPLY_CHECK_BATCH) || 5;
+    const now = Date.now();
+
+    // Give followers at least an hour to reply, and stop checking after a week
+    const candidates = await collection.find({
+        accountOwner,
+        variant: { $exists: true },
+        replied: { $ne: true },
+        processedAt: { $gte: new Date(now - 7 * 24 * 60 * 60 * 1000), $lte: new Date(now - 60 * 60 * 1000) }
+    }).sort({ replyCheckedAt: 1 }).limit(batchSize).toArray();
+
+    for (const record of candidates) {
+        const replied = await checkForReply(page, record.followerUsername);
+        if (replied === null) continue;
+
+        const update = { replied, replyCheckedAt: new Date() };
+        if (replied) update.repliedAt = new Date();
+        await collection.updateOne({ _id: record._id }, { $set: update });
+        console.log(`[Job ${jobId}] ${record.followerUsername} ${replied ? 'replied' : 'has not replied'} to variant ${record.variant}`);
+
+        await sleep(Math.floor(Math.random() * 5000) + 5000);
+    }
+}
+
+/**
+ * Check whether a user still follows the account by searching its followers list.
+ * Returns null when the list could not be searched.
+ */
+async function isFollower(page, accountOwner, username) {
+    try {
+        await page.goto(`https://www.instagram.com/${accountOwner}/followers/`, { timeout: 60000 });
+        const searchInput = await page.waitForSelector('div[role="dialog"] input', { timeout: 15000 });
+        await searchInput.fill(username);
+        await sleep(3000);
+
+        return await page.evaluate(name => {
+            return Array.from(document.querySelectorAll('div[role="dialog"] a[href]'))
+                .some(link => link.getAttribute('href').replace(/\//g, '').toLowerCase() === name.toLowerCase());
+        }, username);
+    } catch (error) {
+        console.error(`Error checking whether ${username} follows ${accountOwner}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Send drip sequence follow-ups that are due for an account.
+ * Followers who replied or unfollowed leave the sequence. Stops early when the job is cancelled,
+ * the sending window closes or a quota is used up; the remaining follow-ups stay due for the next run.
+ */
+async function sendDueFollowUps(page, collection, accountOwner, settings, renderMessage, jobId, jobManager) {
+    const { followUps: steps, rateLimits, sendingWindow: window } = settings;
+    const sentFollowUps = [];
+
+    const due = await collection.find({
+        accountOwner,
+        sequenceStatus: 'active',
+        nextFollowUpAt: { $lte: new Date() }
+    }).sort({ nextFollowUpAt: 1 }).limit(followUpBatchSize).toArray();
+
+    if (due.length > 0) {
+        console.log(`[Job ${jobId}] ${due.length} drip sequence follow-ups due`);
+    }
+
+    for (const record of due) {
+        const username = record.followerUsername;
+        // sequenceStep counts the messages already sent, the welcome message included
+        const step = record.sequenceStep;
+        const endSequence = (status, fields = {}) => collection.updateOne(
+            { _id: record._id },
+            { $set: { sequenceStatus: status, nextFollowUpAt: null, ...fields } }
+        );
+
+        if (jobManager && jobId) {
+            await jobManager.waitWhilePaused(jobId);
+            if (jobManager.isCancelRequested(jobId)) break;
+        }
+        if (!sendingWindow.isWithinWindow(window)) {
+            console.log(`[Job ${jobId}] Sending window closed, leaving remaining follow-ups for the next run`);
+            break;
+        }
+        const quota = await rateLimiter.checkQuota(collection, accountOwner, rateLimits);
+        if (!quota.allowed) {
+            console.log(`[Job ${jobId}] ${quota.reason} quota reached, leaving remaining follow-ups for the next run`);
+            break;
+        }
+
+        // The sequence may have been shortened since this follower joined it
+        if (step > steps.length) {
+            await endSequence('completed');
+            continue;
+        }
+
+        try {
+            const replied = record.replied || await checkForReply(page, username);
+            if (replied === true) {
+                console.log(`[Job ${jobId}] ${username} replied, ending their drip sequence`);
+                await endSequence('replied', { replied: true, repliedAt: record.repliedAt || new Date(), replyCheckedAt: new Date() });
                 continue;
             }
-            console.error(`Failed to message ${username}:`, error);
-            return false;
+
+            if (await isFollower(page, accountOwner, username) === false) {
+                console.log(`[Job ${jobId}] ${username} unfollowed, ending their drip sequence`);
+                await endSequence('unfollowed', { unfollowed: true, unfollowedAt: new Date() });
+                continue;
+            }
+
+            const delivery = await sendWelcomeMessage(page, username, renderMessage(steps[step - 1].message));
+
+            // An unconfirmed follow-up may still have arrived, so the sequence moves on rather than risk a repeat
+            if (delivery.status !== DELIVERY_STATUS.FAILED) {
+                console.log(`[Job ${jobId}] Follow-up ${step + 1} sent to ${username}${delivery.status === DELIVERY_STATUS.UNCONFIRMED ? ' (delivery not confirmed)' : ''}`);
+                rateLimiter.recordSend(accountOwner);
+
+                const nextStep = steps[step];
+                // Refresh the stored profile with what was read on this visit
+                const profile = followerProfiles.toStoredProfile(delivery.profile);
+                await collection.updateOne({ _id: record._id }, {
+                    $set: {
+                        sequenceStep: step + 1,
+                        sequenceStatus: nextStep ? 'active' : 'completed',
+                        nextFollowUpAt: nextStep ? new Date(Date.now() + nextStep.delayDays * DAY_MS) : null,
+                        followUpAttempts: 0,
+                        ...(profile ? { profile } : {})
+                    },
+                    $push: { followUps: { step: step + 1, sentAt: new Date(), deliveryStatus: delivery.status } }
+                });
+
+                sentFollowUps.push(username);
+                if (jobManager && jobId) jobManager.addFollowUpSent(jobId, username, step + 1);
+            } else if (delivery.retry === 'never') {
+                console.log(`[Job ${jobId}] Follow-up to ${username} can't be sent (${delivery.reason}), ending their drip sequence`);
+                await endSequence('failed', { failureReason: delivery.reason });
+            } else if (delivery.reason === FAILURE_REASONS.RATE_LIMITED) {
+                console.log(`[Job ${jobId}] Rate limited by Instagram, leaving remaining follow-ups for the next run`);
+                break;
+            } else {
+                const attempts = (record.followUpAttempts || 0) + 1;
+                console.log(`[Job ${jobId}] Failed to send follow-up to ${username}: ${delivery.reason} (attempt ${attempts}/${MAX_FOLLOW_UP_ATTEMPTS})`);
+                if (attempts >= MAX_FOLLOW_UP_ATTEMPTS) {
+                    await endSequence('failed', { followUpAttempts: attempts, failureReason: delivery.reason });
+                } else {
+                    await collection.updateOne({ _id: record._id }, { $set: { followUpAttempts: attempts } });
+                }
+            }
+        } catch (error) {
+            console.error(`[Job ${jobId}] Error sending follow-up to ${username}:`, error);
+        }
+
+        const waitTime = rateLimiter.getRandomDelay(rateLimits);
+        if (jobManager && jobId) {
+            await jobManager.interruptibleSleep(jobId, waitTime);
+        } else {
+            await sleep(waitTime);
         }
     }
+
+    return sentFollowUps;
 }
 
 /**
- * Mark user as processed in MongoDB
+ * Mark user as processed in MongoDB, with optional extra fields (e.g. the message variant).
+ * A scraped profile in `details.profile` is stored as the follower's profile snapshot.
  */
-async function markUserAsProcessed(collection, followerUsername, accountOwner) {
+async function markUserAsProcessed(collection, followerUsername, accountOwner, details = {}) {
     // Skip DB operations if collection is not available
     if (!collection) {
         console.log(`No database collection available. Skipping DB tracking for ${followerUsername}`);
@@ -633,7 +1352,10 @@ async function markUserAsProcessed(collection, followerUsername, accountOwner) {
     }
 
     try {
+        const { profile, ...fields } = details;
         await collection.insertOne({
+            ...fields,
+            profile: followerProfiles.toStoredProfile(profile),
             followerUsername,
             accountOwner,
             processedAt: new Date()
@@ -648,14 +1370,125 @@ async function markUserAsProcessed(collection, followerUsername, accountOwner) {
     }
 }
 
+/**
+ * Read an uploaded cookie file into memory, so a job that waits for its sending
+ * window still has its cookies after the upload is cleaned up
+ */
+function snapshotCookieFile(cookieFile) {
+    if (cookieFile && !Buffer.isBuffer(cookieFile) && cookieFile.path && fs.existsSync(cookieFile.path)) {
+        return fs.readFileSync(cookieFile.path);
+    }
+    return cookieFile;
+}
+
+/**
+ * Wait until the account's sending window opens, showing the expected start time on the job.
+ * Resolves false if the job was cancelled while waiting.
+ */
+async function waitForSendingWindow(jobId, account, jobManager) {
+    const { sendingWindow: window } = accountSettings.getAccountSettings(account);
+
+    while (!sendingWindow.isWithinWindow(window)) {
+        const expectedStartAt = sendingWindow.getNextWindowStart(window);
+        console.log(`[Job ${jobId}] Outside sending window for ${account}, waiting until ${expectedStartAt.toISOString()}`);
+        jobManager.updateJobStatus(jobId, 'waiting_for_window', {
+            expectedStartAt,
+            message: `Outside sending window, expected to start at ${expectedStartAt.toISOString()}`
+        });
+
+        await jobManager.interruptibleSleep(jobId, Math.max(expectedStartAt.getTime() - Date.now(), 1000));
+
+        if (jobManager.isCancelRequested(jobId)) {
+            jobManager.markJobCancelled(jobId, jobManager.getJob(jobId).pendingUsers || []);
+            return false;
+        }
+    }
+
+    if (jobManager.getJob(jobId).status === 'waiting_for_window') {
+        jobManager.updateJobStatus(jobId, 'queued', { message: 'Sending window opened' });
+    }
+    return true;
+}
+
 /**
  * Process followers - Immediate return version that returns a job ID
  */
-function startProcessFollowers(options, jobManager) {
-    const jobId = jobManager.createJob(options);
+function startProcessFollowers(options, jobManager, jobOptions = {}) {
+    const jobId = jobManager.createJob(options, jobOptions);
+    const runOptions = { ...options, cookieFile: snapshotCookieFile(options.cookieFile) };
+    jobManager.setJobSecrets(jobId, { cookies: runOptions.cookieFile, browserlessApiKey: options.browserlessApiKey });
+
+    // Wait for the sending window (dry runs send nothing, so they start right away),
+    // then queue processing in the background, one run per account at a time
+    const windowReady = options.dryRun ? Promise.resolve(true) : waitForSendingWindow(jobId, options.username, jobManager);
+    windowReady
+        .then(windowOpen => windowOpen && jobManager.enqueueRun({
+            jobId,
+            account: options.username,
+            run: () => processFollowersJob(runOptions, jobId, jobManager)
+        }))
+        .catch(error => {
+            console.error(`Job ${jobId} failed:`, error);
+            jobManager.failJob(jobId, error.message);
+        });
+
+    return jobId;
+}
+
+/**
+ * Start a bulk send job to a recipient list - returns the job ID immediately
+ */
+function startBulkSend(options, jobManager, jobOptions = {}) {
+    const { duplicates = [], ...params } = options;
+    const jobId = jobManager.createJob(params, { ...jobOptions, type: 'bulk_send', account: options.accountUsername });
+    const runOptions = { ...params, cookieFile: snapshotCookieFile(params.cookieFile) };
+    jobManager.setJobSecrets(jobId, { cookies: runOptions.cookieFile, browserlessApiKey: params.browserlessApiKey });
+
+    jobManager.setTotalFollowers(jobId, params.recipients.length + duplicates.length);
+    duplicates.forEach(username => jobManager.addSkippedUser(jobId, username, 'Duplicate recipient'));
+
+    waitForSendingWindow(jobId, options.accountUsername, jobManager)
+        .then(windowOpen => windowOpen && jobManager.enqueueRun({
+            jobId,
+            account: options.accountUsername,
+            run: () => bulkSendJob(runOptions, jobId, jobManager)
+        }))
+        .catch(error => {
+            console.error(`Job ${jobId} failed:`, error);
+            jobManager.failJob(jobId, error.message);
+        });
+
+    return jobId;
+}
+
+/**
+ * Resume a finished job from its checkpointed pending followers (or bulk recipients), reusing the same job ID
+ */
+function resumeProcessFollowers(jobId, overrides, jobManager) {
+    const job = jobManager.getJob(jobId);
+
+    if (!job || !jobManager.canResumeFromCheckpoint(job)) {
+        throw new Error('Job has no pending followers to resume');
+    }
 
-    // Start processing in the background
-    processFollowersJob(options, jobId, jobManager)
+    const isBulkSend = job.type === 'bulk_send';
+    const options = isBulkSend ?
+        { ...job.params, ...overrides, recipients: [...job.pendingUsers], resumed: true } :
+        { ...job.params, ...overrides, resumeFollowers: [...job.pendingUsers] };
+    options.cookieFile = snapshotCookieFile(options.cookieFile);
+    const account = isBulkSend ? options.accountUsername : options.username;
+
+    jobManager.reopenJob(jobId);
+    jobManager.setJobSecrets(jobId, { cookies: options.cookieFile, browserlessApiKey: options.browserlessApiKey });
+
+    waitForSendingWindow(jobId, account, jobManager)
+        .then(windowOpen => windowOpen && jobManager.enqueueRun({
+            jobId,
+            account,
+            run: () => isBulkSend ?
+                bulkSendJob(options, jobId, jobManager) :
+                processFollowersJob(options, jobId, jobManager)
+        }))
         .catch(error => {
             console.error(`Job ${jobId} failed:`, error);
             jobManager.failJob(jobId, error.message);
@@ -664,6 +1497,84 @@ function startProcessFollowers(options, jobManager) {
     return jobId;
 }
 
+/**
+ * Start a child job that messages only `usernames` from a finished job's failed users,
+ * reusing its account, message and attachments; returns the child job ID
+ */
+function retryFailedUsers(parentJobId, usernames, overrides, jobManager) {
+    const parent = jobManager.getJob(parentJobId);
+    const { resumeFollowers, dryRun, usesBrowserless, ...params } = parent.params;
+
+    if (parent.type === 'bulk_send') {
+        const retrying = new Set(usernames);
+        return startBulkSend({
+            ...params,
+            ...overrides,
+            recipients: params.recipients.filter(recipient => retrying.has(recipient.username))
+        }, jobManager, { parentJobId });
+    }
+
+    // Checkpointed followers skip notification scraping, which is what a retry needs
+    return startProcessFollowers({ ...params, ...overrides, resumeFollowers: usernames }, jobManager, { parentJobId });
+}
+
+/**
+ * Credentials a deferred job resumes with; the original upload may be gone by then, so the cookies already loaded are reused
+ */
+function getResumeCredentials(cookies, options) {
+    return {
+        cookieFile: Buffer.from(JSON.stringify(cookies.rawCookies), 'utf8'),
+        browserlessApiKey: options.browserlessApiKey
+    };
+}
+
+/**
+ * Resume a deferred job automatically once its quota window opens again
+ */
+function scheduleDeferredResume(jobId, resumeAt, credentials, jobManager) {
+    const delayMs = Math.max(resumeAt.getTime() - Date.now(), 0);
+    console.log(`[Job ${jobId}] Will resume deferred followers in ${Math.round(delayMs / 60000)} minutes`);
+
+    setTimeout(() => {
+        const job = jobManager.getJob(jobId);
+
+        // Skip if the job was resumed or cancelled in the meantime
+        if (!job || job.status !== 'deferred') return;
+
+        try {
+            resumeProcessFollowers(jobId, credentials, jobManager);
+        } catch (error) {
+            console.error(`[Job ${jobId}] Failed to resume deferred job:`, error);
+        }
+    }, delayMs);
+}
+
+/**
+ * Re-arm the automatic resume of deferred jobs after a restart, using the cookies kept on each job.
+ * Jobs without stored cookies can't resume on their own and are marked as interrupted.
+ */
+function resumeDeferredJobs(jobManager) {
+    const deferredJobs = jobManager.getDeferredJobs();
+
+    deferredJobs.forEach(job => {
+        const secrets = jobManager.getJobSecrets(job.id);
+
+        if (!secrets) {
+            const error = 'Server restarted while job was deferred and no cookies were kept for it (they are only kept with SECRETS_KEY set), resume it with a new cookie upload';
+            console.warn(`[Job ${job.id}] ${error}`);
+            jobManager.updateJobStatus(job.id, 'interrupted', { error, completed: new Date() });
+            return;
+        }
+
+        scheduleDeferredResume(job.id, new Date(job.resumeAt), {
+            cookieFile: secrets.cookies,
+            browserlessApiKey: secrets.browserlessApiKey
+        }, jobManager);
+    });
+
+    return deferredJobs.length;
+}
+
 /**
  * Process followers job - runs in the background
  */
@@ -674,12 +1585,20 @@ async function processFollowersJob(options, jobId, jobManager) {
         username,
         welcomeMessage = process.env.WELCOME_MESSAGE || 'Thank you for following us!',
         headless = true,
-        browserlessApiKey // browserless.io API key
+        browserlessApiKey, // browserless.io API key
+        resumeFollowers, // pending followers from a checkpoint, skips notification scraping
+        messageVariants: variants, // weighted A/B variants, used instead of welcomeMessage when set
+        attachmentIds = [], // media asset IDs sent with the welcome message
+        attachmentPosition = 'before', // send the images before or after the text
+        dryRun = false, // plan the messages without opening DM threads or recording anything
+        followerSource = 'notifications' // notifications, followers_list (snapshot diff) or both
     } = options;
 
     let client, browser, context, page, collection = null;
     const processedUsers = [];
     const failedUsers = [];
+    const unconfirmedUsers = [];
+    const skippedUsers = [];
 
     try {
         // Update job status to running
@@ -751,6 +1670,9 @@ async function processFollowersJob(options, jobId, jobManager) {
             });
         }
 
+        // Forced Instagram UI language for this account, if any
+        const { uiLanguage } = accountSettings.getAccountSettings(username);
+
         // Initialize browser with enhanced error handling
         if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'initializing_browser');
         console.log(`[Job ${jobId}] Initializing browser...`);
@@ -758,7 +1680,7 @@ async function processFollowersJob(options, jobId, jobManager) {
         let browserObj;
         try {
             // Pass browserlessWSEndpoint safely - will be null if not set up properly
-            browserObj = await initBrowser(cookies, headless, browserlessWSEndpoint);
+            browserObj = await initBrowser(cookies, headless, browserlessWSEndpoint, { language: uiLanguage });
             browser = browserObj.browser;
             context = browserObj.context;
             page = browserObj.page;
@@ -780,7 +1702,7 @@ async function processFollowersJob(options, jobId, jobManager) {
 
                 try {
                     // Try again without browserless
-                    browserObj = await initBrowser(cookies, headless, null);
+                    browserObj = await initBrowser(cookies, headless, null, { language: uiLanguage });
                     browser = browserObj.browser;
                     context = browserObj.context;
                     page = browserObj.page;
@@ -822,17 +1744,56 @@ async function processFollowersJob(options, jobId, jobManager) {
 
         // Get the account owner username
         const accountOwner = username;
+
+        // Stop here if the job was cancelled while the browser was starting
+        if (jobManager && jobId && jobManager.isCancelRequested(jobId)) {
+            console.log(`[Job ${jobId}] Job cancelled before checking notifications`);
+            jobManager.markJobCancelled(jobId, []);
+            return { processedUsers, failedUsers, unattemptedUsers: [] };
+        }
+
         console.log(`[Job ${jobId}] Processing followers for Instagram account: ${accountOwner}`);
-        if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'checking_notifications');
 
-        // Check notifications and get new followers with retry logic
+        // Record replies to earlier A/B test messages before sending new ones
+        if (collection && !dryRun) {
+            try {
+                if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'checking_replies');
+                await checkVariantReplies(page, collection, accountOwner, jobId);
+            } catch (replyError) {
+                console.error(`[Job ${jobId}] Error checking replies:`, replyError);
+                if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'warning', {
+                    warning: 'Reply check for message variants failed'
+                });
+            }
+        }
+
         let newFollowers = [];
-        const maxNotificationRetries = 3;
+        const maxNotificationRetries = resumeFollowers || followerSource === 'followers_list' ? 0 : 3;
+
+        if (resumeFollowers) {
+            // Continue from the checkpoint, skipping anyone recorded as processed since
+            console.log(`[Job ${jobId}] Resuming with ${resumeFollowers.length} checkpointed followers`);
+            newFollowers = await filterUnprocessedFollowers(collection, resumeFollowers, accountOwner);
+        } else if (jobManager && jobId && maxNotificationRetries > 0) {
+            jobManager.updateJobStatus(jobId, 'checking_notifications');
+        }
 
+        // Check notifications and get new followers with retry logic
         for (let notifAttempt = 0; notifAttempt < maxNotificationRetries; notifAttempt++) {
             try {
                 console.log(`[Job ${jobId}] Checking notifications (attempt ${notifAttempt + 1}/${maxNotificationRetries})...`);
-                newFollowers = await checkNotifications(page, collection, accountOwner);
+                const notifications = await checkNotifications(page, collection, accountOwner, { language: uiLanguage });
+                if (!notifications.pageLoaded) {
+                    throw new Error('Notifications page could not be loaded');
+                }
+                newFollowers = notifications.followers;
+
+                // A page without any timestamped notification rows usually means Instagram changed its markup
+                if (!notifications.markupFound && jobManager && jobId) {
+                    jobManager.updateJobStatus(jobId, 'warning', {
+                        warning: `Notifications page loaded but no notification markup was recognised (UI language: ${notifications.language || 'unknown'}), new followers may have been missed`
+                    });
+                }
                 break; // Success, exit the retry loop
             } catch (notifError) {
                 console.error(`[Job ${jobId}] Error checking notifications (attempt ${notifAttempt + 1}/${maxNotificationRetries}):`, notifError);
@@ -851,58 +1812,293 @@ async function processFollowersJob(options, jobId, jobManager) {
             }
         }
 
-        // Update job with total count
-        if (jobManager && jobId) jobManager.setTotalFollowers(jobId, newFollowers.length);
+        // Diff the followers list against the last snapshot, catching followers that notifications grouped or dropped
+        if (!resumeFollowers && followerSnapshots.usesFollowersList(followerSource)) {
+            if (!collection) {
+                console.log(`[Job ${jobId}] No database connection, skipping the followers list`);
+                if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'warning', {
+                    warning: 'Followers list needs a database connection for its snapshots, skipped'
+                });
+            } else {
+                try {
+                    if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'checking_followers_list');
+                    const listResult = await checkFollowersList(page, collection, accountOwner, { dryRun });
+                    const fromList = listResult.followers.filter(follower => !newFollowers.includes(follower));
+                    console.log(`[Job ${jobId}] Followers list added ${fromList.length} new followers, ${listResult.unfollows.length} unfollowed`);
+                    newFollowers = [...newFollowers, ...fromList];
+
+                    if (jobManager && jobId && listResult.baseline) {
+                        jobManager.updateJobStatus(jobId, 'warning', {
+                            warning: 'First followers list snapshot stored, new followers are found from the next run on'
+                        });
+                    }
+                } catch (listError) {
+                    console.error(`[Job ${jobId}] Error reading the followers list:`, listError);
+                    if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'warning', {
+                        warning: `Followers list check failed: ${listError.message}`
+                    });
+                }
+            }
+        }
 
-        if (newFollowers.length === 0) {
-            console.log(`[Job ${jobId}] No new followers to process`);
+        // Update job with total count and checkpoint the followers still to message
+        if (jobManager && jobId) {
+            const alreadyProcessed = resumeFollowers ? jobManager.getJob(jobId).progress.processed : 0;
+            jobManager.setTotalFollowers(jobId, alreadyProcessed + newFollowers.length);
+            if (!dryRun) jobManager.setPendingUsers(jobId, newFollowers);
+        }
+
+        // Rate limits, quotas, sending window and drip sequence for this account
+        const settings = accountSettings.getAccountSettings(accountOwner);
+        const { rateLimits, sendingWindow: window, followUps, filters } = settings;
+
+        // Images sent with every welcome message
+        const attachments = { paths: mediaAssets.getAttachmentPaths(attachmentIds), position: attachmentPosition };
+
+        // Personalise the message per follower, using the account's local time when it has a sending window
+        const renderMessage = template => profile => messageTemplate.renderTemplate(
+            template,
+            messageTemplate.buildVariables(profile.username, profile, window ? window.timezone : null)
+        );
+
+        // Dry run: visit each follower's profile to render their message, then report the plan instead of sending
+        if (dryRun) {
+            if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'planning');
+            console.log(`[Job ${jobId}] Dry run, planning messages for ${newFollowers.length} new followers...`);
+
+            const plannedFollowers = [];
+            for (const username of newFollowers) {
+                if (jobManager && jobId && jobManager.isCancelRequested(jobId)) {
+                    jobManager.markJobCancelled(jobId, []);
+                    return { processedUsers, failedUsers, unattemptedUsers: [] };
+                }
+
+                const variant = variants && variants.length > 0 ? messageVariants.pickVariant(variants) : null;
+                try {
+                    await page.goto(`https://www.instagram.com/${username}/`, { timeout: 60000 });
+                    await sleep(2000);
+                    const profile = await scrapeProfile(page, username);
+
+                    // Followers the account's filters exclude are listed with the rule instead of a message
+                    const exclusion = followerFilters.evaluateFilters(username, profile, filters);
+                    plannedFollowers.push(exclusion ? {
+                        username,
+                        fullName: profile.fullName,
+                        skipped: exclusion
+                    } : {
+                        username,
+                        fullName: profile.fullName,
+                        variant: variant ? variant.id : null,
+                        message: renderMessage(variant ? variant.message : welcomeMessage)(profile)
+                    });
+                } catch (error) {
+                    console.error(`[Job ${jobId}] Could not open profile of ${username}:`, error.message);
+                    plannedFollowers.push({ username, error: `Could not open profile: ${error.message}` });
+                }
+                if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'planning', {
+                    progress: { total: newFollowers.length, processed: plannedFollowers.length }
+                });
+
+                await sleep(Math.floor(Math.random() * 2000) + 2000);
+            }
+
+            const quota = await rateLimiter.checkQuota(collection, accountOwner, rateLimits);
+            const plan = {
+                dryRun: true,
+                followers: plannedFollowers,
+                attachmentIds,
+                attachmentPosition,
+                withinSendingWindow: sendingWindow.isWithinWindow(window),
+                quota: quota.usage,
+                dueFollowUps: collection && followUps.length > 0 ?
+                    await collection.countDocuments({ accountOwner, sequenceStatus: 'active', nextFollowUpAt: { $lte: new Date() } }) :
+                    0
+            };
+
+            const filteredCount = plannedFollowers.filter(planned => planned.skipped).length;
+            const summary = `Dry run: ${plannedFollowers.length - filteredCount} new followers would be messaged` +
+                (filteredCount > 0 ? `, ${filteredCount} skipped by filters` : '');
+            console.log(`[Job ${jobId}] ${summary}`);
             if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'completed', {
-                message: 'No new followers to process'
+                message: summary,
+                result: plan
             });
-            return { processedUsers, failedUsers };
+
+            return { processedUsers, failedUsers, plan };
+        }
+
+        if (newFollowers.length === 0) {
+            console.log(`[Job ${jobId}] No new followers to process`);
+        } else {
+            // Send welcome messages to new followers
+            if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'sending_messages');
+            console.log(`[Job ${jobId}] Sending welcome messages to ${newFollowers.length} new followers...`);
         }
 
-        // Send welcome messages to new followers
-        if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'sending_messages');
-        console.log(`[Job ${jobId}] Sending welcome messages to ${newFollowers.length} new followers...`);
+        for (const [index, username] of newFollowers.entries()) {
+            // Honour pause and cancel requests between followers
+            if (jobManager && jobId) {
+                await jobManager.waitWhilePaused(jobId);
+
+                if (jobManager.isCancelRequested(jobId)) {
+                    const unattemptedUsers = newFollowers.slice(index);
+                    console.log(`[Job ${jobId}] Job cancelled, ${unattemptedUsers.length} followers not attempted`);
+                    jobManager.markJobCancelled(jobId, unattemptedUsers);
+                    return { processedUsers, failedUsers, unattemptedUsers };
+                }
+            }
+
+            // Once a quota is used up or the sending window closes, the remaining followers wait for the next window
+            let deferral = null;
+            if (!sendingWindow.isWithinWindow(window)) {
+                deferral = { reason: 'Outside sending window', resumeAt: sendingWindow.getNextWindowStart(window) };
+            } else {
+                const quota = await rateLimiter.checkQuota(collection, accountOwner, rateLimits);
+                if (!quota.allowed) {
+                    deferral = { reason: `${quota.reason} quota reached`, resumeAt: quota.nextAvailableAt };
+                }
+            }
+            if (deferral) {
+                const deferredUsers = newFollowers.slice(index);
+                console.log(`[Job ${jobId}] ${deferral.reason}, deferring ${deferredUsers.length} followers until ${deferral.resumeAt.toISOString()}`);
+                if (jobManager && jobId) {
+                    jobManager.markJobDeferred(jobId, deferredUsers, deferral.resumeAt, deferral.reason);
+                    scheduleDeferredResume(jobId, deferral.resumeAt, getResumeCredentials(cookies, options), jobManager);
+                }
+                return { processedUsers, failedUsers, unconfirmedUsers, skippedUsers, deferredUsers, resumeAt: deferral.resumeAt };
+            }
 
-        for (const username of newFollowers) {
             try {
                 console.log(`[Job ${jobId}] Processing new follower: ${username}`);
 
+                // Apply the account's filters, reading the profile only when a rule needs it
+                if (followerFilters.hasRules(filters)) {
+                    let profile = null;
+                    if (followerFilters.needsProfile(filters) && !followerFilters.isAllowlisted(username, filters)) {
+                        await page.goto(`https://www.instagram.com/${username}/`, { timeout: 60000 });
+                        await sleep(2000);
+                        profile = await scrapeProfile(page, username);
+                    }
+
+                    const exclusion = followerFilters.evaluateFilters(username, profile, filters);
+                    if (exclusion) {
+                        console.log(`[Job ${jobId}] Skipping ${username}: ${exclusion.reason}`);
+                        skippedUsers.push({ username, ...exclusion });
+                        if (jobManager && jobId) jobManager.addSkippedUser(jobId, username, exclusion.reason, { rule: exclusion.rule });
+                        await sleep(Math.floor(Math.random() * 2000) + 2000);
+                        continue;
+                    }
+                }
+
+                // Pick an A/B variant for this follower, if the job has any
+                const variant = variants && variants.length > 0 ? messageVariants.pickVariant(variants) : null;
+
                 // Send the welcome message
-                const messageSent = await sendWelcomeMessage(page, username, welcomeMessage);
+                const delivery = await sendWelcomeMessage(page, username, renderMessage(variant ? variant.message : welcomeMessage), attachments);
+
+                // Details stored with the follower, starting the drip sequence if there is one
+                const details = variant ?
+                    { variant: variant.id, deliveryStatus: delivery.status, profile: delivery.profile } :
+                    { deliveryStatus: delivery.status, profile: delivery.profile };
+                if (followUps.length > 0) {
+                    details.sequenceStep = 1;
+                    details.sequenceStatus = 'active';
+                    details.nextFollowUpAt = new Date(Date.now() + followUps[0].delayDays * DAY_MS);
+                }
 
-                if (messageSent) {
-                    console.log(`[Job ${jobId}] Welcome message sent to ${username}`);
+                if (delivery.status === DELIVERY_STATUS.SENT) {
+                    console.log(`[Job ${jobId}] Welcome message sent to ${username}${variant ? ` (variant ${variant.id})` : ''}`);
+                    rateLimiter.recordSend(accountOwner);
 
                     // Mark user as processed in MongoDB only if message was sent
-                    const marked = await markUserAsProcessed(collection, username, accountOwner);
+                    const marked = await markUserAsProcessed(collection, username, accountOwner, details);
                     if (marked) {
                         processedUsers.push(username);
                         if (jobManager && jobId) jobManager.addProcessedUser(jobId, username);
                     }
+                } else if (delivery.status === DELIVERY_STATUS.UNCONFIRMED) {
+                    console.log(`[Job ${jobId}] Message to ${username} could not be confirmed in the thread`);
+                    rateLimiter.recordSend(accountOwner);
+
+                    // Recorded (flagged as unconfirmed) so the follower isn't messaged twice
+                    await markUserAsProcessed(collection, username, accountOwner, details);
+                    unconfirmedUsers.push(username);
+                    if (jobManager && jobId) jobManager.addUnconfirmedUser(jobId, username);
+                } else if (delivery.reason === FAILURE_REASONS.RATE_LIMITED) {
+                    // Instagram is blocking sends, so this follower and the rest wait for the backoff
+                    const resumeAt = new Date(Date.now() + rateLimitBackoffMs);
+                    const deferredUsers = newFollowers.slice(index);
+                    console.log(`[Job ${jobId}] Rate limited by Instagram, deferring ${deferredUsers.length} followers until ${resumeAt.toISOString()}`);
+                    if (jobManager && jobId) {
+                        jobManager.markJobDeferred(jobId, deferredUsers, resumeAt, 'Rate limited by Instagram');
+                        scheduleDeferredResume(jobId, resumeAt, getResumeCredentials(cookies, options), jobManager);
+                    }
+                    return { processedUsers, failedUsers, unconfirmedUsers, skippedUsers, deferredUsers, resumeAt };
                 } else {
-                    failedUsers.push(username);
-                    if (jobManager && jobId) jobManager.addFailedUser(jobId, username);
+                    console.log(`[Job ${jobId}] Failed to message ${username}: ${delivery.reason}${delivery.details ? ` - ${delivery.details}` : ''}`);
+                    const failure = failureEntry(username, delivery);
+
+                    // Followers that can never be messaged are recorded so later runs skip them
+                    if (delivery.retry === 'never') {
+                        await markUserAsProcessed(collection, username, accountOwner, {
+                            profile: delivery.profile,
+                            deliveryStatus: DELIVERY_STATUS.FAILED,
+                            failureReason: delivery.reason,
+                            failureDetails: delivery.details
+                        });
+                    }
+                    failedUsers.push(failure);
+                    if (jobManager && jobId) jobManager.addFailedUser(jobId, failure);
                 }
             } catch (error) {
                 console.error(`[Job ${jobId}] Error processing follower ${username}:`, error);
-                failedUsers.push(username);
+                const failure = failureEntry(username, sendResult(DELIVERY_STATUS.FAILED, FAILURE_REASONS.SEND_FAILED, error.message));
+                failedUsers.push(failure);
+                if (jobManager && jobId) jobManager.addFailedUser(jobId, failure);
             }
 
-            // Respect Instagram's rate limits - wait between 30 to 60 seconds between messages
-            const waitTime = Math.floor(Math.random() * (60000 - 30000 + 1)) + 30000;
+            // Respect Instagram's rate limits - wait between messages as configured for the account
+            const waitTime = rateLimiter.getRandomDelay(rateLimits);
             console.log(`[Job ${jobId}] Waiting ${Math.round(waitTime / 1000)} seconds before next action...`);
-            await sleep(waitTime);
+            if (jobManager && jobId) {
+                await jobManager.interruptibleSleep(jobId, waitTime);
+            } else {
+                await sleep(waitTime);
+            }
         }
 
-        console.log(`[Job ${jobId}] Processed ${processedUsers.length} users, failed to process ${failedUsers.length} users`);
+        // Send drip sequence follow-ups that have come due
+        let sentFollowUps = [];
+        if (collection && followUps.length > 0) {
+            if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'sending_follow_ups');
+            sentFollowUps = await sendDueFollowUps(page, collection, accountOwner, settings, renderMessage, jobId, jobManager);
+
+            if (jobManager && jobId && jobManager.isCancelRequested(jobId)) {
+                console.log(`[Job ${jobId}] Job cancelled while sending follow-ups`);
+                jobManager.markJobCancelled(jobId, []);
+                return { processedUsers, failedUsers, sentFollowUps, unattemptedUsers: [] };
+            }
+        }
+
+        let summary = newFollowers.length === 0 ?
+            'No new followers to process' :
+            `Processed ${processedUsers.length} users, failed to process ${failedUsers.length} users`;
+        if (unconfirmedUsers.length > 0) {
+            summary += `, ${unconfirmedUsers.length} unconfirmed`;
+        }
+        if (skippedUsers.length > 0) {
+            summary += `, skipped ${skippedUsers.length} by filters`;
+        }
+        if (sentFollowUps.length > 0) {
+            summary += `, sent ${sentFollowUps.length} follow-ups`;
+        }
+
+        console.log(`[Job ${jobId}] ${summary}`);
         if (jobManager && jobId) jobManager.updateJobStatus(jobId, 'completed', {
-            message: `Processed ${processedUsers.length} users, failed to process ${failedUsers.length} users`
+            message: summary
         });
 
-        return { processedUsers, failedUsers };
+        return { processedUsers, failedUsers, unconfirmedUsers, skippedUsers, sentFollowUps };
     } catch (error) {
         console.error(`[Job ${jobId}] Unexpected error:`, error);
         if (jobManager && jobId) jobManager.failJob(jobId, `Unexpected error: ${error.message}`);
@@ -924,13 +2120,205 @@ async function processFollowersJob(options, jobId, jobManager) {
     }
 }
 
+/**
+ * Bulk send job - messages a recipient list with a single browser session, runs in the background
+ */
+async function bulkSendJob(options, jobId, jobManager) {
+    const {
+        cookieFile,
+        accountUsername,
+        message: defaultMessage,
+        recipients,
+        resumed = false,
+        headless = true,
+        browserlessApiKey,
+        attachmentIds = [],
+        attachmentPosition = 'before'
+    } = options;
+
+    let client, browser, collection = null;
+    const sentUsers = [];
+    const failedUsers = [];
+    const unconfirmedUsers = [];
+
+    try {
+        jobManager.updateJobStatus(jobId, 'running');
+
+        const cookies = loadCookies(cookieFile);
+        if (!cookies || !cookies.rawCookies || cookies.rawCookies.length === 0) {
+            throw new Error('Invalid or empty cookies data');
+        }
+
+        if (mongoUri) {
+            try {
+                const mongo = await connectToMongoDB();
+                client = mongo.client;
+                collection = mongo.collection;
+            } catch (mongoError) {
+                console.error(`[Job ${jobId}] Warning: MongoDB connection failed`, mongoError);
+                jobManager.updateJobStatus(jobId, 'warning', {
+                    warning: 'Database connection failed, recipients are not checked against earlier messages'
+                });
+            }
+        }
+
+        // Skip recipients this account has already messaged
+        const unprocessed = await filterUnprocessedFollowers(collection, recipients.map(recipient => recipient.username), accountUsername);
+        const toSend = recipients.filter(recipient => unprocessed.includes(recipient.username));
+        recipients
+            .filter(recipient => !unprocessed.includes(recipient.username))
+            .forEach(recipient => jobManager.addSkippedUser(jobId, recipient.username, 'Already messaged by this account'));
+        jobManager.setPendingUsers(jobId, toSend);
+
+        if (toSend.length === 0) {
+            jobManager.updateJobStatus(jobId, 'completed', { message: 'No recipients left to message' });
+            return { sentUsers, failedUsers };
+        }
+
+        // Rate limits, quotas and sending window for the sending account
+        const { rateLimits, sendingWindow: window } = accountSettings.getAccountSettings(accountUsername);
+        const attachments = { paths: mediaAssets.getAttachmentPaths(attachmentIds), position: attachmentPosition };
+
+        // One browser session for the whole list
+        jobManager.updateJobStatus(jobId, 'initializing_browser');
+        const browserlessWSEndpoint = browserlessApiKey ?
+            `wss://production-sfo.browserless.io/chromium/playwright?token=${browserlessApiKey}&proxy=residential&stealth=true` :
+            null;
+        const browserObj = await initBrowser(cookies, headless, browserlessWSEndpoint);
+        browser = browserObj.browser;
+        const page = browserObj.page;
+
+        await page.goto('https://www.instagram.com/', { timeout: 90000 });
+        const isLoggedIn = await page.evaluate(() => !document.querySelector('input[name="username"]'));
+        if (!isLoggedIn) {
+            throw new Error('Authentication failed - please check your cookie file');
+        }
+
+        jobManager.updateJobStatus(jobId, 'sending_messages');
+        console.log(`[Job ${jobId}] Sending ${toSend.length} messages${resumed ? ' (resumed)' : ''}...`);
+
+        for (const [index, recipient] of toSend.entries()) {
+            const { username } = recipient;
+
+            await jobManager.waitWhilePaused(jobId);
+            if (jobManager.isCancelRequested(jobId)) {
+                const unattemptedUsers = toSend.slice(index).map(pending => pending.username);
+                console.log(`[Job ${jobId}] Job cancelled, ${unattemptedUsers.length} recipients not attempted`);
+                jobManager.markJobCancelled(jobId, unattemptedUsers);
+                return { sentUsers, failedUsers, unattemptedUsers };
+            }
+
+            // Same quota and sending window handling as follower runs
+            let deferral = null;
+            if (!sendingWindow.isWithinWindow(window)) {
+                deferral = { reason: 'Outside sending window', resumeAt: sendingWindow.getNextWindowStart(window) };
+            } else {
+                const quota = await rateLimiter.checkQuota(collection, accountUsername, rateLimits);
+                if (!quota.allowed) {
+                    deferral = { reason: `${quota.reason} quota reached`, resumeAt: quota.nextAvailableAt };
+                }
+            }
+            if (deferral) {
+                const deferredUsers = toSend.slice(index).map(pending => pending.username);
+                console.log(`[Job ${jobId}] ${deferral.reason}, deferring ${deferredUsers.length} recipients until ${deferral.resumeAt.toISOString()}`);
+                jobManager.markJobDeferred(jobId, deferredUsers, deferral.resumeAt, deferral.reason);
+                scheduleDeferredResume(jobId, deferral.resumeAt, getResumeCredentials(cookies, options), jobManager);
+                return { sentUsers, failedUsers, deferredUsers, resumeAt: deferral.resumeAt };
+            }
+
+            try {
+                // Row variables fill in (or override) the profile-based ones
+                const renderMessage = profile => messageTemplate.renderTemplate(recipient.message || defaultMessage, {
+                    ...messageTemplate.buildVariables(profile.username, profile, window ? window.timezone : null),
+                    ...recipient.variables
+                });
+
+                const delivery = await sendWelcomeMessage(page, username, renderMessage, attachments);
+
+                if (delivery.status === DELIVERY_STATUS.SENT) {
+                    console.log(`[Job ${jobId}] Message sent to ${username}`);
+                    rateLimiter.recordSend(accountUsername);
+                    await markUserAsProcessed(collection, username, accountUsername, { source: 'bulk_send', jobId, deliveryStatus: delivery.status, profile: delivery.profile });
+                    sentUsers.push(username);
+                    jobManager.addProcessedUser(jobId, username);
+                } else if (delivery.status === DELIVERY_STATUS.UNCONFIRMED) {
+                    console.log(`[Job ${jobId}] Message to ${username} could not be confirmed in the thread`);
+                    rateLimiter.recordSend(accountUsername);
+                    await markUserAsProcessed(collection, username, accountUsername, { source: 'bulk_send', jobId, deliveryStatus: delivery.status, profile: delivery.profile });
+                    unconfirmedUsers.push(username);
+                    jobManager.addUnconfirmedUser(jobId, username);
+                } else if (delivery.reason === FAILURE_REASONS.RATE_LIMITED) {
+                    const resumeAt = new Date(Date.now() + rateLimitBackoffMs);
+                    const deferredUsers = toSend.slice(index).map(pending => pending.username);
+                    console.log(`[Job ${jobId}] Rate limited by Instagram, deferring ${deferredUsers.length} recipients until ${resumeAt.toISOString()}`);
+                    jobManager.markJobDeferred(jobId, deferredUsers, resumeAt, 'Rate limited by Instagram');
+                    scheduleDeferredResume(jobId, resumeAt, getResumeCredentials(cookies, options), jobManager);
+                    return { sentUsers, failedUsers, deferredUsers, resumeAt };
+                } else {
+                    console.log(`[Job ${jobId}] Failed to message ${username}: ${delivery.reason}${delivery.details ? ` - ${delivery.details}` : ''}`);
+                    const failure = failureEntry(username, delivery);
+                    if (delivery.retry === 'never') {
+                        await markUserAsProcessed(collection, username, accountUsername, {
+                            source: 'bulk_send',
+                            jobId,
+                            profile: delivery.profile,
+                            deliveryStatus: DELIVERY_STATUS.FAILED,
+                            failureReason: delivery.reason,
+                            failureDetails: delivery.details
+                        });
+                    }
+                    failedUsers.push(failure);
+                    jobManager.addFailedUser(jobId, failure);
+                }
+            } catch (error) {
+                console.error(`[Job ${jobId}] Error messaging ${username}:`, error);
+                const failure = failureEntry(username, sendResult(DELIVERY_STATUS.FAILED, FAILURE_REASONS.SEND_FAILED, error.message));
+                failedUsers.push(failure);
+                jobManager.addFailedUser(jobId, failure);
+            }
+
+            if (index < toSend.length - 1) {
+                await jobManager.interruptibleSleep(jobId, rateLimiter.getRandomDelay(rateLimits));
+            }
+        }
+
+        let summary = `Sent ${sentUsers.length} messages, failed to message ${failedUsers.length} recipients`;
+        if (unconfirmedUsers.length > 0) {
+            summary += `, ${unconfirmedUsers.length} unconfirmed`;
+        }
+        console.log(`[Job ${jobId}] ${summary}`);
+        jobManager.updateJobStatus(jobId, 'completed', { message: summary });
+
+        return { sentUsers, failedUsers, unconfirmedUsers };
+    } catch (error) {
+        console.error(`[Job ${jobId}] Bulk send failed:`, error);
+        jobManager.failJob(jobId, error.message);
+        throw error;
+    } finally {
+        try {
+            if (browser) await browser.close();
+            if (client) await client.close();
+        } catch (cleanupError) {
+            console.error(`[Job ${jobId}] Error during cleanup:`, cleanupError);
+        }
+    }
+}
+
 module.exports = {
     processFollowers: async function (options) {
         // For sync API, run processFollowersJob without jobManager
         return await processFollowersJob(options, null, null);
     },
     startProcessFollowers,
+    startBulkSend,
+    retryFailedUsers,
+    resumeProcessFollowers,
+    resumeDeferredJobs,
+    waitForSendingWindow,
+    getProcessedUsersCollection,
     sendWelcomeMessage,
+    DELIVERY_STATUS,
+    FAILURE_REASONS,
     loadCookies,
     initBrowser
 };
@@ -1,7 +1,129 @@
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createStore } = require('./store');
+const { canStoreSecrets, encryptSecret, decryptSecret } = require('./secrets');
 
-// In-memory job store
+// In-memory job cache, written through to the persistent store
 const jobs = new Map();
+const jobStore = createStore(process.env.JOBS_COLLECTION || 'jobs');
+let persistQueue = Promise.resolve();
+// Most timeline events kept per job; older ones are dropped so records stay bounded
+const maxTimelineEvents = Number(process.env.JOB_TIMELINE_LIMIT) || 500;
+
+// Live job events, keyed by job ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+const ALL_JOBS = '*';
+
+// Runtime controls (cancel/pause flags and waiters) for jobs running in this process
+const jobControls = new Map();
+
+// Run queue: one browser per account at a time, and a global cap on browser instances
+const runQueue = [];
+const lockedAccounts = new Set();
+const maxConcurrentRuns = Number(process.env.MAX_CONCURRENT_BROWSERS) || 2;
+let activeRuns = 0;
+
+// Statuses after which a job's run is over. Deferred jobs resume on their own at `resumeAt`,
+// so they still count as active for their account and are kept until then.
+const TERMINAL_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled', 'deferred'];
+
+// Statuses where the job hasn't started on its followers yet, so there is nothing to pause
+const UNPAUSABLE_STATUSES = ['queued', 'waiting_for_window'];
+
+/**
+ * Build the record that gets persisted for a job (secrets are only stored encrypted, see setJobSecrets)
+ */
+function toRecord(job) {
+    const { browserlessApiKey, ...params } = job.params || {};
+    // Remember that the job ran on Browserless, so a resume after a restart doesn't silently switch to a local browser
+    if (browserlessApiKey) params.usesBrowserless = true;
+    // In-memory cookie buffers (e.g. from schedules) stay out of the job record
+    if (Buffer.isBuffer(params.cookieFile)) delete params.cookieFile;
+    return { ...job, params };
+}
+
+/**
+ * Persist a job in the background; writes are serialized so they land in order
+ */
+function persistJob(job) {
+    const record = toRecord(job);
+    persistQueue = persistQueue
+        .then(() => jobStore.save(record))
+        .catch(error => console.error(`Error persisting job ${job.id}:`, error));
+}
+
+/**
+ * Record a job event: append it to the job's timeline, persist the job and
+ * publish the event to live subscribers
+ */
+function recordJobEvent(job, type, data = {}, message = data.message || data.warning || null) {
+    const timestamp = new Date();
+
+    if (!job.timeline) job.timeline = [];
+    job.timeline.push({
+        timestamp,
+        type,
+        status: job.status,
+        message,
+        details: data
+    });
+    if (job.timeline.length > maxTimelineEvents) {
+        const dropped = job.timeline.length - maxTimelineEvents;
+        job.timeline.splice(0, dropped);
+        job.droppedTimelineEvents = (job.droppedTimelineEvents || 0) + dropped;
+    }
+
+    persistJob(job);
+
+    const event = {
+        type,
+        jobId: job.id,
+        timestamp,
+        data,
+        job: summarizeJob(job)
+    };
+    jobEvents.emit(job.id, event);
+    jobEvents.emit(ALL_JOBS, event);
+}
+
+/**
+ * Subscribe to a job's live events; returns a function that unsubscribes
+ */
+function subscribeToJob(jobId, listener) {
+    jobEvents.on(jobId, listener);
+    return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Subscribe to the events of every job; returns a function that unsubscribes
+ */
+function onJobEvent(listener) {
+    jobEvents.on(ALL_JOBS, listener);
+    return () => jobEvents.off(ALL_JOBS, listener);
+}
+
+/**
+ * Load persisted jobs and mark any that were mid-run at shutdown as interrupted
+ */
+async function init() {
+    const records = await jobStore.load();
+    let interrupted = 0;
+
+    records.forEach(job => {
+        if (!TERMINAL_STATUSES.includes(job.status)) {
+            job.error = `Server restarted while job was ${job.status}`;
+            job.status = 'interrupted';
+            job.updated = new Date();
+            job.completed = job.updated;
+            interrupted++;
+            recordJobEvent(job, 'status', { status: job.status }, job.error);
+        }
+        jobs.set(job.id, job);
+    });
+
+    console.log(`Loaded ${records.length} jobs from ${jobStore.backend} store (${interrupted} marked as interrupted)`);
+}
 
 /**
  * Generates a unique job ID
@@ -12,24 +134,47 @@ function generateJobId() {
 
 /**
  * Create a new job and return its ID
+ * The job type defaults to follower processing, where the account is the `username` param;
+ * other job types pass `account` explicitly (null when unknown), since their `username` is a recipient.
+ * A job created to retry another job's failed users is linked to it through `parentJobId`.
  */
-function createJob(params) {
+function createJob(params, options = {}) {
+    const { type = 'process_followers', parentJobId = null } = options;
+    const account = 'account' in options ? options.account : params.username;
     const jobId = generateJobId();
 
-    jobs.set(jobId, {
+    const job = {
         id: jobId,
+        type,
+        account: account || null,
         status: 'queued',
         created: new Date(),
         params,
         result: null,
         processedUsers: [],
         failedUsers: [],
+        unconfirmedUsers: [],
+        skippedUsers: [],
+        followUps: [],
         error: null,
         progress: {
             total: 0,
             processed: 0
-        }
-    });
+        },
+        timeline: []
+    };
+
+    const parent = parentJobId ? jobs.get(parentJobId) : null;
+    if (parent) {
+        job.parentJobId = parentJobId;
+        parent.retryJobIds = [...(parent.retryJobIds || []), jobId];
+    }
+
+    jobs.set(jobId, job);
+    recordJobEvent(job, 'created', { status: job.status, type, parentJobId: job.parentJobId }, parent ? `Job created to retry failed users of job ${parentJobId}` : 'Job created');
+    if (parent) {
+        recordJobEvent(parent, 'retry_created', { retryJobId: jobId }, `Retry job ${jobId} created for failed users`);
+    }
 
     return jobId;
 }
@@ -41,6 +186,88 @@ function getJob(jobId) {
     return jobs.get(jobId) || null;
 }
 
+/**
+ * Build the summary returned in job listings
+ */
+function summarizeJob(job) {
+    return {
+        id: job.id,
+        type: job.type || 'process_followers',
+        account: job.account,
+        status: job.status,
+        parentJobId: job.parentJobId,
+        created: job.created,
+        updated: job.updated,
+        completed: job.completed,
+        progress: job.progress,
+        processedCount: job.processedUsers.length,
+        failedCount: job.failedUsers.length,
+        unconfirmedCount: (job.unconfirmedUsers || []).length,
+        queuePosition: getQueuePosition(job.id),
+        message: job.message,
+        error: job.error
+    };
+}
+
+/**
+ * List job summaries, newest first, filtered by account, status and creation date
+ */
+function listJobs({ account, statuses, from, to, limit = 50, offset = 0 } = {}) {
+    const accountFilter = account ? account.toLowerCase() : null;
+
+    const matching = Array.from(jobs.values())
+        .filter(job => {
+            if (accountFilter && (!job.account || job.account.toLowerCase() !== accountFilter)) return false;
+            if (statuses && statuses.length > 0 && !statuses.includes(job.status)) return false;
+            if (from && new Date(job.created) < from) return false;
+            if (to && new Date(job.created) > to) return false;
+            return true;
+        })
+        .sort((a, b) => new Date(b.created) - new Date(a.created));
+
+    return {
+        total: matching.length,
+        jobs: matching.slice(offset, offset + limit).map(summarizeJob)
+    };
+}
+
+/**
+ * Check whether a job is queued, running or deferred (a deferred job resumes on its own)
+ */
+function isJobActive(job) {
+    return !isJobFinished(job) || job.status === 'deferred';
+}
+
+/**
+ * Get every job still kept (finished jobs until they are cleaned up)
+ */
+function getJobs() {
+    return Array.from(jobs.values());
+}
+
+/**
+ * Get the jobs that are queued, running or deferred
+ */
+function getActiveJobs() {
+    return Array.from(jobs.values()).filter(isJobActive);
+}
+
+/**
+ * Check whether an account has a job that is queued, running or deferred
+ */
+function hasActiveJob(account) {
+    const accountKey = account.toLowerCase();
+
+    return getActiveJobs().some(job => job.account && job.account.toLowerCase() === accountKey);
+}
+
+/**
+ * Get the jobs waiting for their deferred followers to resume
+ */
+function getDeferredJobs() {
+    return Array.from(jobs.values()).filter(job => job.status === 'deferred');
+}
+
 /**
  * Update job status
  */
@@ -57,6 +284,81 @@ function updateJobStatus(jobId, status, data = {}) {
         job[key] = data[key];
     });
 
+    if (isJobFinished(job)) jobControls.delete(jobId);
+
+    recordJobEvent(job, 'status', { status, ...data });
+
+    return true;
+}
+
+/**
+ * Keep a job's cookies and Browserless API key, encrypted, so it can be resumed after a restart
+ * without a new upload. Nothing is kept when SECRETS_KEY is not configured.
+ */
+function setJobSecrets(jobId, { cookies, browserlessApiKey }) {
+    const job = jobs.get(jobId);
+
+    if (!job || !canStoreSecrets() || !Buffer.isBuffer(cookies)) return false;
+
+    job.secrets = encryptSecret(JSON.stringify({
+        cookies: cookies.toString('base64'),
+        browserlessApiKey: browserlessApiKey || null
+    }));
+
+    persistJob(job);
+
+    return true;
+}
+
+/**
+ * Get a job's stored cookies (as a buffer) and Browserless API key, or null if none were kept
+ */
+function getJobSecrets(jobId) {
+    const job = jobs.get(jobId);
+
+    if (!job || !job.secrets || !canStoreSecrets()) return null;
+
+    try {
+        const { cookies, browserlessApiKey } = JSON.parse(decryptSecret(job.secrets).toString('utf8'));
+        return { cookies: Buffer.from(cookies, 'base64'), browserlessApiKey };
+    } catch (error) {
+        console.error(`[Job ${jobId}] Could not decrypt stored secrets:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Get the follower username from a processed/failed user entry
+ */
+function getUsername(userData) {
+    return typeof userData === 'string' ? userData : userData.username;
+}
+
+/**
+ * Remove a follower from the job's checkpointed pending list
+ */
+function removePendingUser(job, userData) {
+    if (!job.pendingUsers) return;
+
+    // Pending entries are usernames, or recipient objects for bulk sends
+    const username = getUsername(userData);
+    const index = job.pendingUsers.findIndex(pending => getUsername(pending) === username);
+    if (index !== -1) job.pendingUsers.splice(index, 1);
+}
+
+/**
+ * Checkpoint the followers that still need a message
+ */
+function setPendingUsers(jobId, usernames) {
+    const job = jobs.get(jobId);
+
+    if (!job) return false;
+
+    job.pendingUsers = [...usernames];
+    job.checkpointed = new Date();
+
+    persistJob(job);
+
     return true;
 }
 
@@ -70,12 +372,15 @@ function addProcessedUser(jobId, userData) {
 
     job.processedUsers.push(userData);
     job.progress.processed += 1;
+    removePendingUser(job, userData);
+
+    recordJobEvent(job, 'processed_user', { user: userData }, `Message sent to ${getUsername(userData)}`);
 
     return true;
 }
 
 /**
- * Add a failed user to the job
+ * Add a failed user to the job: a username, or { username, reason, details, retry, timestamp }
  */
 function addFailedUser(jobId, userData) {
     const job = jobs.get(jobId);
@@ -84,6 +389,79 @@ function addFailedUser(jobId, userData) {
 
     job.failedUsers.push(userData);
     job.progress.processed += 1;
+    removePendingUser(job, userData);
+
+    const reason = userData && userData.reason ? ` (${userData.reason})` : '';
+    recordJobEvent(job, 'failed_user', { user: userData }, `Failed to message ${getUsername(userData)}${reason}`);
+
+    return true;
+}
+
+/**
+ * Usernames of a job's failed users, optionally only those failed for one of `reasons`.
+ * Without reasons, failures that will never succeed (retry policy 'never') are left out.
+ */
+function getFailedUsernames(job, reasons = []) {
+    const usernames = job.failedUsers
+        .filter(userData => {
+            if (reasons.length > 0) return typeof userData !== 'string' && reasons.includes(userData.reason);
+            return typeof userData === 'string' || userData.retry !== 'never';
+        })
+        .map(getUsername);
+
+    return Array.from(new Set(usernames));
+}
+
+/**
+ * Add a user whose message was sent but could not be confirmed in the DM thread
+ */
+function addUnconfirmedUser(jobId, userData) {
+    const job = jobs.get(jobId);
+
+    if (!job) return false;
+
+    job.unconfirmedUsers = job.unconfirmedUsers || [];
+    job.unconfirmedUsers.push(userData);
+    job.progress.processed += 1;
+    removePendingUser(job, userData);
+
+    recordJobEvent(job, 'unconfirmed_user', { user: userData }, `Message to ${getUsername(userData)} could not be confirmed`);
+
+    return true;
+}
+
+/**
+ * Add a user that was skipped without a send attempt (e.g. already messaged);
+ * `details` holds extra fields for the entry, such as the filter rule that excluded them
+ */
+function addSkippedUser(jobId, userData, reason, details = {}) {
+    const job = jobs.get(jobId);
+
+    if (!job) return false;
+
+    const username = getUsername(userData);
+    job.skippedUsers = job.skippedUsers || [];
+    job.skippedUsers.push({ username, reason, ...details, timestamp: new Date() });
+    job.progress.processed += 1;
+    removePendingUser(job, userData);
+
+    recordJobEvent(job, 'skipped_user', { user: username, reason, ...details }, `Skipped ${username}: ${reason}`);
+
+    return true;
+}
+
+/**
+ * Record a drip sequence follow-up sent during the job
+ */
+function addFollowUpSent(jobId, username, step) {
+    const job = jobs.get(jobId);
+
+    if (!job) return false;
+
+    job.followUps = job.followUps || [];
+    job.followUps.push({ username, step, timestamp: new Date() });
+
+    recordJobEvent(job, 'follow_up_sent', { user: username, step }, `Follow-up ${step} sent to ${username}`);
 
     return true;
 }
@@ -98,6 +476,8 @@ function setTotalFollowers(jobId, total) {
 
     job.progress.total = total;
 
+    recordJobEvent(job, 'progress', { total }, `${total} followers to process`);
+
     return true;
 }
 
@@ -112,21 +492,369 @@ function completeJob(jobId, result = {}) {
     job.status = 'completed';
     job.result = result;
     job.completed = new Date();
+    jobControls.delete(jobId);
+
+    recordJobEvent(job, 'completed', { result }, 'Job completed');
 
     return true;
 }
 
 /**
- * Fail a job
+ * Fail a job, optionally storing extra fields (such as a failure reason) on it.
+ * A job that has already failed keeps its first error, since outer handlers fail it again on the way out.
  */
-function failJob(jobId, error) {
+function failJob(jobId, error, data = {}) {
     const job = jobs.get(jobId);
 
-    if (!job) return false;
+    if (!job || job.status === 'failed') return false;
 
+    Object.assign(job, data);
     job.status = 'failed';
     job.error = error;
     job.completed = new Date();
+    jobControls.delete(jobId);
+
+    recordJobEvent(job, 'failed', { error }, error);
+
+    return true;
+}
+
+/**
+ * Queue a browser run for an account. Runs start once the account is free and a
+ * browser slot is available; the returned promise settles with the run's result.
+ * Runs without an account only count towards the global cap.
+ */
+function enqueueRun({ jobId = null, account = null, run }) {
+    return new Promise((resolve, reject) => {
+        runQueue.push({
+            jobId,
+            account: account ? account.toLowerCase() : null,
+            run,
+            resolve,
+            reject
+        });
+        drainQueue();
+    });
+}
+
+/**
+ * Start as many queued runs as the account locks and concurrency cap allow
+ */
+function drainQueue() {
+    let index = 0;
+
+    while (index < runQueue.length && activeRuns < maxConcurrentRuns) {
+        const entry = runQueue[index];
+
+        if (entry.account && lockedAccounts.has(entry.account)) {
+            index++;
+            continue;
+        }
+
+        runQueue.splice(index, 1);
+        startRun(entry);
+    }
+}
+
+/**
+ * Run a queued entry while holding its account lock and a browser slot
+ */
+function startRun(entry) {
+    activeRuns++;
+    if (entry.account) lockedAccounts.add(entry.account);
+
+    Promise.resolve()
+        .then(() => entry.run())
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+            activeRuns--;
+            if (entry.account) lockedAccounts.delete(entry.account);
+            drainQueue();
+        });
+}
+
+/**
+ * Remove a job from the run queue; returns false if it was not waiting
+ */
+function dequeueJob(jobId) {
+    const index = runQueue.findIndex(entry => entry.jobId === jobId);
+
+    if (index === -1) return false;
+
+    const [entry] = runQueue.splice(index, 1);
+    entry.resolve(null);
+
+    return true;
+}
+
+/**
+ * Get a job's 1-based position in the run queue, or null if it is not waiting
+ */
+function getQueuePosition(jobId) {
+    const index = runQueue.findIndex(entry => entry.jobId === jobId);
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Check whether a job has reached a final status
+ */
+function isJobFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+}
+
+/**
+ * Get (or create) the runtime controls for a job
+ */
+function getControls(jobId) {
+    if (!jobControls.has(jobId)) {
+        jobControls.set(jobId, {
+            cancelRequested: false,
+            paused: false,
+            waiters: []
+        });
+    }
+    return jobControls.get(jobId);
+}
+
+/**
+ * Wake up everything waiting on a job (paused loop, sleeps between messages)
+ */
+function wakeWaiters(controls) {
+    const waiters = controls.waiters;
+    controls.waiters = [];
+    waiters.forEach(resolve => resolve());
+}
+
+/**
+ * Request cancellation of a running job; the job stops before its next follower
+ */
+function cancelJob(jobId) {
+    const job = jobs.get(jobId);
+
+    if (!job) return false;
+
+    // Deferred jobs are cancelled so they don't resume at the next window
+    if (job.status === 'deferred') {
+        return markJobCancelled(jobId, job.pendingUsers || []);
+    }
+
+    if (isJobFinished(job)) return false;
+
+    // Jobs still waiting in the queue are cancelled straight away
+    if (dequeueJob(jobId)) {
+        return markJobCancelled(jobId, job.pendingUsers || []);
+    }
+
+    const controls = getControls(jobId);
+    controls.cancelRequested = true;
+    controls.paused = false;
+    wakeWaiters(controls);
+
+    updateJobStatus(jobId, 'cancelling', {
+        message: 'Cancellation requested, stopping before the next follower'
+    });
+
+    return true;
+}
+
+/**
+ * Request a running job to pause before its next follower. Single message jobs have no
+ * followers to pause between, and queued jobs can simply be cancelled instead.
+ */
+function pauseJob(jobId) {
+    const job = jobs.get(jobId);
+
+    if (!job || isJobFinished(job) || UNPAUSABLE_STATUSES.includes(job.status)) return false;
+    if (job.type === 'send_message') return false;
+
+    const controls = getControls(jobId);
+    if (controls.cancelRequested || controls.paused) return false;
+
+    controls.paused = true;
+    controls.statusBeforePause = job.status;
+    updateJobStatus(jobId, 'pausing', {
+        message: 'Pause requested, pausing before the next follower'
+    });
+
+    return true;
+}
+
+/**
+ * Resume a paused job, restoring the status it had when the pause was requested
+ */
+function resumeJob(jobId) {
+    const job = jobs.get(jobId);
+    const controls = jobControls.get(jobId);
+
+    if (!job || !controls || !controls.paused) return false;
+
+    controls.paused = false;
+    wakeWaiters(controls);
+
+    // The job may have moved on to another step before it reached the pause point
+    const status = ['pausing', 'paused'].includes(job.status) ? controls.statusBeforePause : job.status;
+    updateJobStatus(jobId, status, {
+        message: 'Job resumed'
+    });
+
+    return true;
+}
+
+/**
+ * Check if cancellation was requested for a job
+ */
+function isCancelRequested(jobId) {
+    const controls = jobControls.get(jobId);
+    return Boolean(controls && controls.cancelRequested);
+}
+
+/**
+ * Check if a job has been asked to pause
+ */
+function isPauseRequested(jobId) {
+    const controls = jobControls.get(jobId);
+    return Boolean(controls && controls.paused);
+}
+
+/**
+ * Block while a job is paused; returns once it is resumed or cancelled
+ */
+async function waitWhilePaused(jobId) {
+    const controls = getControls(jobId);
+
+    if (!controls.paused) return;
+
+    updateJobStatus(jobId, 'paused', {
+        message: 'Job paused'
+    });
+
+    while (controls.paused && !controls.cancelRequested) {
+        await new Promise(resolve => controls.waiters.push(resolve));
+    }
+}
+
+/**
+ * Sleep for the given time, returning early if the job gets cancelled
+ */
+function interruptibleSleep(jobId, ms) {
+    const controls = getControls(jobId);
+
+    if (controls.cancelRequested) return Promise.resolve();
+
+    return new Promise(resolve => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            controls.waiters = controls.waiters.filter(waiter => waiter !== done);
+            resolve();
+        }
+        controls.waiters.push(done);
+    });
+}
+
+/**
+ * Mark a job as cancelled, recording the followers that were never attempted
+ */
+function markJobCancelled(jobId, unattemptedUsers = []) {
+    const job = jobs.get(jobId);
+
+    if (!job) return false;
+
+    job.status = 'cancelled';
+    job.unattemptedUsers = unattemptedUsers;
+    job.message = `Job cancelled, ${unattemptedUsers.length} followers were not attempted`;
+    job.completed = new Date();
+    job.updated = job.completed;
+    jobControls.delete(jobId);
+
+    recordJobEvent(job, 'cancelled', { unattemptedUsers }, job.message);
+
+    return true;
+}
+
+/**
+ * Mark a job as deferred: a quota was hit or the sending window closed, the remaining followers wait for the next window
+ */
+function markJobDeferred(jobId, deferredUsers, resumeAt, reason) {
+    const job = jobs.get(jobId);
+
+    if (!job) return false;
+
+    job.status = 'deferred';
+    job.deferredUsers = deferredUsers;
+    job.resumeAt = resumeAt;
+    job.message = `${reason}, ${deferredUsers.length} followers deferred until ${resumeAt.toISOString()}`;
+    job.completed = new Date();
+    job.updated = job.completed;
+    jobControls.delete(jobId);
+
+    recordJobEvent(job, 'deferred', { deferredUsers, resumeAt, reason }, job.message);
+
+    return true;
+}
+
+/**
+ * Record a webhook delivery attempt in the job's delivery log
+ */
+function addWebhookDelivery(jobId, delivery) {
+    const job = jobs.get(jobId);
+
+    if (!job) return false;
+
+    if (!job.webhookDeliveries) job.webhookDeliveries = [];
+    job.webhookDeliveries.push(delivery);
+
+    persistJob(job);
+
+    return true;
+}
+
+/**
+ * Record that a final webhook event is being delivered for the job's current run; returns
+ * false when that event was already delivered, so each event goes out once per run
+ */
+function claimWebhookEvent(jobId, eventName) {
+    const job = jobs.get(jobId);
+
+    if (!job) return false;
+
+    if (!job.sentWebhookEvents) job.sentWebhookEvents = [];
+    if (job.sentWebhookEvents.includes(eventName)) return false;
+    job.sentWebhookEvents.push(eventName);
+
+    persistJob(job);
+
+    return true;
+}
+
+/**
+ * Check whether a finished job can be resumed from its checkpoint
+ */
+function canResumeFromCheckpoint(job) {
+    return ['interrupted', 'failed', 'cancelled', 'deferred'].includes(job.status) &&
+        Array.isArray(job.pendingUsers) && job.pendingUsers.length > 0;
+}
+
+/**
+ * Put a finished job back in the queue so it can continue from its checkpoint
+ */
+function reopenJob(jobId) {
+    const job = jobs.get(jobId);
+
+    if (!job || !canResumeFromCheckpoint(job)) return false;
+
+    job.status = 'queued';
+    job.error = null;
+    job.completed = null;
+    job.unattemptedUsers = undefined;
+    job.deferredUsers = undefined;
+    job.resumeAt = undefined;
+    job.sentWebhookEvents = undefined;
+    job.resumeCount = (job.resumeCount || 0) + 1;
+    job.message = `Resuming with ${job.pendingUsers.length} pending followers`;
+    job.updated = new Date();
+
+    recordJobEvent(job, 'status', { status: job.status }, job.message);
 
     return true;
 }
@@ -134,15 +862,20 @@ function failJob(jobId, error) {
 /**
  * Clean up old jobs (optional, to prevent memory leaks)
  */
-function cleanupOldJobs(maxAgeHours = 24) {
+function cleanupOldJobs(maxAgeHours = Number(process.env.JOB_RETENTION_HOURS) || 24) {
     const now = new Date();
 
     for (const [jobId, job] of jobs.entries()) {
+        // Deferred jobs are kept until they resume
+        if (job.status === 'deferred') continue;
+
         const jobDate = job.completed || job.created;
         const ageHours = (now - jobDate) / (1000 * 60 * 60);
 
         if (ageHours > maxAgeHours) {
             jobs.delete(jobId);
+            jobControls.delete(jobId);
+            jobStore.remove(jobId).catch(error => console.error(`Error removing job ${jobId}:`, error));
         }
     }
 }
@@ -151,12 +884,44 @@ function cleanupOldJobs(maxAgeHours = 24) {
 setInterval(() => cleanupOldJobs(), 60 * 60 * 1000);
 
 module.exports = {
+    init,
     createJob,
     getJob,
+    listJobs,
+    hasActiveJob,
+    getJobs,
+    getActiveJobs,
+    getDeferredJobs,
+    summarizeJob,
+    isJobFinished,
+    subscribeToJob,
+    onJobEvent,
     updateJobStatus,
     addProcessedUser,
     addFailedUser,
+    getFailedUsernames,
+    addUnconfirmedUser,
+    addSkippedUser,
+    addFollowUpSent,
     setTotalFollowers,
+    setPendingUsers,
+    setJobSecrets,
+    getJobSecrets,
     completeJob,
-    failJob
+    failJob,
+    cancelJob,
+    pauseJob,
+    resumeJob,
+    isCancelRequested,
+    isPauseRequested,
+    waitWhilePaused,
+    interruptibleSleep,
+    markJobCancelled,
+    markJobDeferred,
+    canResumeFromCheckpoint,
+    reopenJob,
+    addWebhookDelivery,
+    claimWebhookEvent,
+    enqueueRun,
+    getQueuePosition
 };
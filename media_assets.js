@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+// Image files are kept on disk, their metadata in the store
+const assetsDir = process.env.ASSETS_DIR || path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'assets');
+const assetStore = createStore(process.env.ASSETS_COLLECTION || 'assets');
+const assets = new Map();
+
+const MAX_ATTACHMENTS = 5;
+const IMAGE_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp'
+};
+const ATTACHMENT_POSITIONS = ['before', 'after'];
+
+/**
+ * Create an error that the API reports as a 400
+ */
+function validationError(message) {
+    const error = new Error(message);
+    error.validation = true;
+    return error;
+}
+
+/**
+ * Public view of an asset, without its location on disk
+ */
+function toPublicAsset(asset) {
+    const { filePath, ...publicAsset } = asset;
+    return publicAsset;
+}
+
+/**
+ * Load persisted asset metadata
+ */
+async function init() {
+    const records = await assetStore.load();
+    records.forEach(record => assets.set(record.id, record));
+
+    console.log(`Loaded ${records.length} media assets from ${assetStore.backend} store`);
+}
+
+/**
+ * Store an uploaded image (multer file) as an asset; throws with a `validation` flag if it is not an image.
+ * Temporary assets are the images uploaded along with a job, removed once no job or schedule uses them.
+ */
+async function createAsset(file, { temporary = false } = {}) {
+    const extension = IMAGE_TYPES[file.mimetype];
+    if (!extension) {
+        throw validationError(`Unsupported attachment type ${file.mimetype} (${file.originalname}), only JPEG, PNG, GIF and WebP images can be sent`);
+    }
+
+    const id = crypto.randomBytes(12).toString('hex');
+    const filePath = path.join(assetsDir, `${id}${extension}`);
+
+    fs.mkdirSync(assetsDir, { recursive: true });
+    fs.copyFileSync(file.path, filePath);
+    fs.unlink(file.path, err => {
+        if (err) console.error('Error deleting asset upload:', err);
+    });
+
+    const asset = {
+        id,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        filePath,
+        temporary,
+        created: new Date()
+    };
+    assets.set(id, asset);
+    await assetStore.save(asset);
+
+    return toPublicAsset(asset);
+}
+
+/**
+ * List assets, newest first
+ */
+function listAssets() {
+    return Array.from(assets.values())
+        .sort((a, b) => new Date(b.created) - new Date(a.created))
+        .map(toPublicAsset);
+}
+
+/**
+ * Get an asset by ID
+ */
+function getAsset(assetId) {
+    const asset = assets.get(assetId);
+    return asset ? toPublicAsset(asset) : null;
+}
+
+/**
+ * Delete an asset and its file; returns false if it doesn't exist
+ */
+async function deleteAsset(assetId) {
+    const asset = assets.get(assetId);
+
+    if (!asset) return false;
+
+    assets.delete(assetId);
+    await assetStore.remove(assetId);
+    fs.unlink(asset.filePath, err => {
+        if (err) console.error(`Error deleting asset file ${asset.filePath}:`, err);
+    });
+
+    return true;
+}
+
+/**
+ * Delete temporary assets older than the job retention that `isInUse(assetId)` reports unused
+ */
+async function cleanupTemporaryAssets(isInUse, maxAgeHours = Number(process.env.JOB_RETENTION_HOURS) || 24) {
+    const now = new Date();
+
+    for (const asset of Array.from(assets.values())) {
+        const ageHours = (now - new Date(asset.created)) / (1000 * 60 * 60);
+        if (!asset.temporary || ageHours <= maxAgeHours || isInUse(asset.id)) continue;
+
+        await deleteAsset(asset.id);
+        console.log(`Deleted temporary asset ${asset.id} (${asset.filename})`);
+    }
+}
+
+/**
+ * Parse asset IDs from a request (JSON array, comma-separated string or array)
+ */
+function parseAssetIds(input) {
+    if (input === undefined || input === null || input === '') return [];
+    if (Array.isArray(input)) return input.map(String);
+
+    const text = String(input).trim();
+    if (text.startsWith('[')) {
+        try {
+            const ids = JSON.parse(text);
+            if (Array.isArray(ids)) return ids.map(String);
+        } catch (error) {
+            // Fall through to the error below
+        }
+        throw validationError('attachmentIds must be a JSON array or a comma-separated list');
+    }
+    return text.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Combine uploaded attachments and referenced asset IDs into the attachment options of a job.
+ * Uploads are stored as temporary assets, so jobs that wait or resume later can still send them;
+ * their IDs are returned as `uploadedIds`. Throws with a `validation` flag on invalid input.
+ */
+async function prepareAttachments(files = [], assetIdsInput, position) {
+    const attachmentIds = parseAssetIds(assetIdsInput);
+    const attachmentPosition = position || 'before';
+
+    const missing = attachmentIds.filter(id => !assets.has(id));
+    if (missing.length > 0) {
+        throw validationError(`Unknown attachment assets: ${missing.join(', ')}`);
+    }
+    if (attachmentIds.length + files.length > MAX_ATTACHMENTS) {
+        throw validationError(`At most ${MAX_ATTACHMENTS} attachments can be sent with a message`);
+    }
+    if (!ATTACHMENT_POSITIONS.includes(attachmentPosition)) {
+        throw validationError(`attachmentPosition must be one of: ${ATTACHMENT_POSITIONS.join(', ')}`);
+    }
+    // Check every upload before storing any of them
+    const unsupported = files.find(file => !IMAGE_TYPES[file.mimetype]);
+    if (unsupported) {
+        throw validationError(`Unsupported attachment type ${unsupported.mimetype} (${unsupported.originalname}), only JPEG, PNG, GIF and WebP images can be sent`);
+    }
+
+    const uploadedIds = [];
+    for (const file of files) {
+        const asset = await createAsset(file, { temporary: true });
+        uploadedIds.push(asset.id);
+    }
+
+    return { attachmentIds: [...attachmentIds, ...uploadedIds], attachmentPosition, uploadedIds };
+}
+
+/**
+ * Resolve asset IDs to image file paths for the DM composer; throws if an asset was deleted
+ */
+function getAttachmentPaths(assetIds = []) {
+    return assetIds.map(id => {
+        const asset = assets.get(id);
+        if (!asset || !fs.existsSync(asset.filePath)) {
+            throw new Error(`Attachment asset ${id} no longer exists`);
+        }
+        return asset.filePath;
+    });
+}
+
+module.exports = {
+    init,
+    createAsset,
+    listAssets,
+    getAsset,
+    deleteAsset,
+    cleanupTemporaryAssets,
+    parseAssetIds,
+    prepareAttachments,
+    getAttachmentPaths
+};
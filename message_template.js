@@ -0,0 +1,134 @@
+// Variables that can be used as {{name}} in welcome messages
+const TEMPLATE_VARIABLES = ['username', 'full_name', 'first_name', 'time_of_day'];
+
+// Variable names may hold digits, e.g. CSV columns such as "city2"
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+// Double braces around anything that isn't a variable name or spintax, e.g. {{first name}}
+const INVALID_PLACEHOLDER_PATTERN = /\{\{[^{}|]*\}\}/g;
+// Innermost brace group; only groups with "|" are spintax, other braces are literal text
+const SPINTAX_PATTERN = /\{([^{}]*)\}/;
+// Placeholders are swapped for these markers while spintax is resolved
+const MARKER_PATTERN = /\u0000(\d+)\u0000/g;
+// Literal braces are written \{ and \}, and kept out of spintax as these markers
+const ESCAPED_OPEN = '\u0001';
+const ESCAPED_CLOSE = '\u0002';
+
+/**
+ * Swap escaped braces for markers, so they are neither placeholders nor spintax
+ */
+function hideEscapedBraces(template) {
+    return template.replace(/\\\{/g, ESCAPED_OPEN).replace(/\\\}/g, ESCAPED_CLOSE);
+}
+
+/**
+ * Swap {{variables}} for markers, collecting their names in order
+ */
+function hidePlaceholders(text, placeholders) {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        placeholders.push(name);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    });
+}
+
+/**
+ * Resolve spintax groups innermost first, letting `choose` pick among the options of each;
+ * a group without "|" is kept as literal braces
+ */
+function resolveSpintax(text, choose) {
+    let match;
+    while ((match = SPINTAX_PATTERN.exec(text)) !== null) {
+        const replacement = match[1].includes('|') ?
+            choose(match[1].split('|')) :
+            ESCAPED_OPEN + match[1] + ESCAPED_CLOSE;
+        text = text.slice(0, match.index) + replacement + text.slice(match.index + match[0].length);
+    }
+    return text;
+}
+
+/**
+ * Validate a message template, optionally allowing extra variables; returns an error message or null
+ */
+function validateTemplate(template, extraVariables = []) {
+    const available = [...TEMPLATE_VARIABLES, ...extraVariables];
+    const text = hideEscapedBraces(template);
+    const unknown = [];
+    let match;
+
+    PLACEHOLDER_PATTERN.lastIndex = 0;
+    while ((match = PLACEHOLDER_PATTERN.exec(text)) !== null) {
+        if (!available.includes(match[1]) && !unknown.includes(match[1])) {
+            unknown.push(match[1]);
+        }
+    }
+    if (unknown.length > 0) {
+        return `Unknown template variables: ${unknown.join(', ')}. Available: ${available.join(', ')}`;
+    }
+
+    const withoutPlaceholders = text.replace(PLACEHOLDER_PATTERN, '');
+    const invalid = withoutPlaceholders.match(INVALID_PLACEHOLDER_PATTERN);
+    if (invalid) {
+        return `Invalid template variables: ${invalid.join(', ')}. Names may only contain letters, digits and underscores`;
+    }
+
+    // Picking the shortest option of every group must still leave something to send
+    const shortest = resolveSpintax(hidePlaceholders(text, []), options =>
+        options.reduce((best, option) => option.trim().length < best.trim().length ? option : best));
+    if (shortest.trim() === '') {
+        return 'Message template can render an empty message, some text must remain whichever spintax options are picked';
+    }
+    return null;
+}
+
+/**
+ * Describe the time of day in a timezone (server time when none is given)
+ */
+function getTimeOfDay(timezone, date = new Date()) {
+    const hour = Number(new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone || undefined,
+        hour: '2-digit',
+        hourCycle: 'h23'
+    }).format(date));
+
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 22) return 'evening';
+    return 'night';
+}
+
+/**
+ * Build template variables for a follower from their scraped profile
+ */
+function buildVariables(username, profile = {}, timezone = null) {
+    const fullName = (profile.fullName || '').trim();
+
+    return {
+        username,
+        full_name: fullName || username,
+        first_name: fullName ? fullName.split(/\s+/)[0] : username,
+        time_of_day: getTimeOfDay(timezone)
+    };
+}
+
+/**
+ * Render a template: resolve {a|b|c} spintax (innermost groups first), then fill in {{variables}};
+ * \{ and \} and braces that aren't spintax come out as literal braces
+ */
+function renderTemplate(template, variables, random = Math.random) {
+    const placeholders = [];
+    const text = resolveSpintax(hidePlaceholders(hideEscapedBraces(template), placeholders),
+        options => options[Math.floor(random() * options.length)]);
+
+    return text
+        .replace(MARKER_PATTERN, (marker, index) => {
+            const value = variables[placeholders[Number(index)]];
+            return value === undefined || value === null ? '' : String(value);
+        })
+        .split(ESCAPED_OPEN).join('{')
+        .split(ESCAPED_CLOSE).join('}');
+}
+
+module.exports = {
+    validateTemplate,
+    buildVariables,
+    renderTemplate
+};
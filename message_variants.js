@@ -0,0 +1,105 @@
+const { validateTemplate } = require('./message_template');
+
+const MAX_VARIANTS = 10;
+
+/**
+ * Parse and validate weighted message variants from a request (JSON string or array).
+ * Returns { variants } (null when none were given) or { error }.
+ */
+function parseVariants(input) {
+    if (input === undefined || input === null || input === '') {
+        return { variants: null };
+    }
+
+    let list = input;
+    if (typeof input === 'string') {
+        try {
+            list = JSON.parse(input);
+        } catch (error) {
+            return { error: 'messageVariants must be a JSON array' };
+        }
+    }
+
+    if (!Array.isArray(list) || list.length === 0 || list.length > MAX_VARIANTS) {
+        return { error: `messageVariants must be an array of 1 to ${MAX_VARIANTS} variants` };
+    }
+
+    const variants = [];
+    for (const [index, item] of list.entries()) {
+        const variant = typeof item === 'string' ? { message: item } : item || {};
+        const id = variant.id ? String(variant.id) : String.fromCharCode(65 + index); // A, B, C...
+        const weight = variant.weight === undefined ? 1 : Number(variant.weight);
+
+        if (!variant.message || typeof variant.message !== 'string') {
+            return { error: `Variant ${id} needs a message` };
+        }
+        if (!Number.isFinite(weight) || weight <= 0) {
+            return { error: `Variant ${id} needs a positive weight` };
+        }
+        if (variants.some(existing => existing.id === id)) {
+            return { error: `Duplicate variant id ${id}` };
+        }
+
+        const templateError = validateTemplate(variant.message);
+        if (templateError) {
+            return { error: `Variant ${id}: ${templateError}` };
+        }
+
+        variants.push({ id, message: variant.message, weight });
+    }
+
+    return { variants };
+}
+
+/**
+ * Pick a variant at random, proportionally to the weights
+ */
+function pickVariant(variants, random = Math.random) {
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let threshold = random() * totalWeight;
+
+    for (const variant of variants) {
+        threshold -= variant.weight;
+        if (threshold < 0) return variant;
+    }
+    return variants[variants.length - 1];
+}
+
+/**
+ * Report sends and replies per variant for an account from the processed-users collection
+ */
+async function getVariantStats(collection, accountOwner, { from, to } = {}) {
+    const match = { accountOwner, variant: { $exists: true } };
+    if (from || to) {
+        match.processedAt = {};
+        if (from) match.processedAt.$gte = from;
+        if (to) match.processedAt.$lte = to;
+    }
+
+    const rows = await collection.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$variant',
+                sends: { $sum: 1 },
+                replies: { $sum: { $cond: [{ $eq: ['$replied', true] }, 1, 0] } },
+                checked: { $sum: { $cond: [{ $ifNull: ['$replyCheckedAt', false] }, 1, 0] } }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]).toArray();
+
+    return rows.map(row => ({
+        variant: row._id,
+        sends: row.sends,
+        replies: row.replies,
+        repliesChecked: row.checked,
+        replyRate: row.sends > 0 ? row.replies / row.sends : 0
+    }));
+}
+
+module.exports = {
+    parseVariants,
+    pickVariant,
+    getVariantStats
+};
@@ -0,0 +1,37 @@
+// How Instagram words "started following you" in each UI language (lowercase, as shown in notifications)
+const FOLLOW_PHRASES = {
+    en: ['started following you'],
+    es: ['comenzó a seguirte', 'empezó a seguirte'],
+    de: ['hat angefangen, dir zu folgen', 'folgt dir jetzt'],
+    ru: ['подписался(-ась) на ваши обновления', 'подписался на ваши обновления', 'подписалась на ваши обновления', 'подписался на вас', 'подписалась на вас'],
+    fr: ['a commencé à vous suivre'],
+    it: ['ha iniziato a seguirti'],
+    pt: ['começou a seguir você', 'começou a seguir-te'],
+    nl: ['is je gaan volgen'],
+    pl: ['zaczął cię obserwować', 'zaczęła cię obserwować', 'zaczyna cię obserwować'],
+    tr: ['seni takip etmeye başladı'],
+    id: ['mulai mengikuti anda']
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(FOLLOW_PHRASES);
+
+/**
+ * Reduce a language tag such as "es-ES" or "pt_BR" to the language code used as a key above
+ */
+function normalizeLanguage(language) {
+    return String(language || '').trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Every known follow phrase; the page is matched against all of them, since the
+ * language Instagram actually renders may differ from the one that was asked for
+ */
+function getAllFollowPhrases() {
+    return [].concat(...Object.values(FOLLOW_PHRASES));
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    normalizeLanguage,
+    getAllFollowPhrases
+};
@@ -0,0 +1,105 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Sends made by this process, used when the processed-users collection is not available
+const recentSends = new Map();
+
+/**
+ * Record a sent message for an account
+ */
+function recordSend(account, sentAt = new Date()) {
+    const key = account.toLowerCase();
+    const cutoff = Date.now() - DAY_MS;
+    const sends = (recentSends.get(key) || []).filter(time => time > cutoff);
+
+    sends.push(sentAt.getTime());
+    recentSends.set(key, sends);
+}
+
+/**
+ * Count an account's sends since a date, and find the oldest one in that window
+ */
+async function countSendsSince(collection, account, since) {
+    if (collection) {
+        try {
+            // Each processed user holds its welcome message and any drip sequence follow-ups;
+            // users recorded after a permanent failure were never messaged
+            const [result] = await collection.aggregate([
+                { $match: { accountOwner: account, deliveryStatus: { $ne: 'failed' }, $or: [{ processedAt: { $gte: since } }, { 'followUps.sentAt': { $gte: since } }] } },
+                {
+                    $project: {
+                        sends: {
+                            $concatArrays: [
+                                ['$processedAt'],
+                                { $map: { input: { $ifNull: ['$followUps', []] }, as: 'followUp', in: '$$followUp.sentAt' } }
+                            ]
+                        }
+                    }
+                },
+                { $unwind: '$sends' },
+                { $match: { sends: { $gte: since } } },
+                { $group: { _id: null, count: { $sum: 1 }, oldest: { $min: '$sends' } } }
+            ]).toArray();
+            return {
+                count: result ? result.count : 0,
+                oldest: result ? new Date(result.oldest) : null
+            };
+        } catch (error) {
+            console.error(`Error counting sends for ${account}, using in-memory counts:`, error);
+        }
+    }
+
+    const sends = (recentSends.get(account.toLowerCase()) || []).filter(time => time >= since.getTime());
+    return {
+        count: sends.length,
+        oldest: sends.length > 0 ? new Date(Math.min(...sends)) : null
+    };
+}
+
+/**
+ * Check an account's hourly and daily quotas.
+ * When a quota is used up, `nextAvailableAt` is when its oldest send leaves the window.
+ */
+async function checkQuota(collection, account, rateLimits) {
+    const now = Date.now();
+    const windows = [
+        { name: 'hourly', limit: rateLimits.maxPerHour, duration: HOUR_MS },
+        { name: 'daily', limit: rateLimits.maxPerDay, duration: DAY_MS }
+    ];
+    const usage = {};
+    let blocked = null;
+
+    for (const window of windows) {
+        const { count, oldest } = await countSendsSince(collection, account, new Date(now - window.duration));
+        usage[window.name] = { sent: count, limit: window.limit };
+
+        if (window.limit !== null && count >= window.limit) {
+            const nextAvailableAt = new Date((oldest ? oldest.getTime() : now) + window.duration);
+            if (!blocked || nextAvailableAt > blocked.nextAvailableAt) {
+                blocked = { reason: window.name, nextAvailableAt };
+            }
+        }
+    }
+
+    return {
+        allowed: !blocked,
+        reason: blocked ? blocked.reason : null,
+        nextAvailableAt: blocked ? blocked.nextAvailableAt : null,
+        usage
+    };
+}
+
+/**
+ * Pick a random delay between messages from the account's policy
+ */
+function getRandomDelay(rateLimits) {
+    const minMs = rateLimits.minDelaySeconds * 1000;
+    const maxMs = rateLimits.maxDelaySeconds * 1000;
+    return Math.floor(Math.random() * (maxMs - minMs + 1)) + minMs;
+}
+
+module.exports = {
+    recordSend,
+    checkQuota,
+    getRandomDelay
+};
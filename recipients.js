@@ -0,0 +1,138 @@
+const { validateTemplate } = require('./message_template');
+
+const MAX_RECIPIENTS = Number(process.env.BULK_MAX_RECIPIENTS) || 500;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._]{1,30}$/;
+
+/**
+ * Split CSV text into rows of fields (quoted fields may contain commas, quotes and line breaks)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn CSV text with a header row into recipient rows
+ */
+function csvToRows(text) {
+    const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    return lines.map(fields => {
+        const row = {};
+        columns.forEach((column, index) => {
+            if (column) row[column] = (fields[index] || '').trim();
+        });
+        return row;
+    });
+}
+
+/**
+ * Parse a recipient list from CSV text, JSON text or an array.
+ * Each recipient needs a `username`; an optional `message` overrides the default template and
+ * every other column (or property) becomes a template variable for that recipient.
+ * Returns { recipients, duplicates } or { error }.
+ */
+function parseRecipients(input, defaultMessage) {
+    let rows = input;
+
+    if (typeof input === 'string') {
+        const text = input.trim();
+        if (text.startsWith('[')) {
+            try {
+                rows = JSON.parse(text);
+            } catch (error) {
+                return { error: `Invalid JSON recipient list: ${error.message}` };
+            }
+        } else {
+            rows = csvToRows(text);
+            if (rows.length > 0 && !Object.prototype.hasOwnProperty.call(rows[0], 'username')) {
+                return { error: 'CSV recipient list needs a header row with a username column' };
+            }
+        }
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return { error: 'Recipient list is empty' };
+    }
+    if (rows.length > MAX_RECIPIENTS) {
+        return { error: `At most ${MAX_RECIPIENTS} recipients can be sent to in one job` };
+    }
+
+    const recipients = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    for (const [index, item] of rows.entries()) {
+        const { username: rawUsername, message, ...variables } = typeof item === 'string' ? { username: item } : item || {};
+        const username = String(rawUsername || '').trim().replace(/^@/, '');
+
+        if (!USERNAME_PATTERN.test(username)) {
+            return { error: `Recipient ${index + 1} has an invalid username: "${rawUsername || ''}"` };
+        }
+
+        // Usernames are case-insensitive; later rows for the same user are skipped
+        if (seen.has(username.toLowerCase())) {
+            duplicates.push(username);
+            continue;
+        }
+        seen.add(username.toLowerCase());
+
+        const template = message || defaultMessage;
+        if (!template) {
+            return { error: `Recipient ${username} has no message and no default message was given` };
+        }
+        const templateError = validateTemplate(template, Object.keys(variables));
+        if (templateError) {
+            return { error: `Recipient ${username}: ${templateError}` };
+        }
+
+        const recipient = { username, variables };
+        if (message) recipient.message = message;
+        recipients.push(recipient);
+    }
+
+    return { recipients, duplicates };
+}
+
+module.exports = {
+    parseRecipients
+};
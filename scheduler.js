@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { createStore } = require('./store');
+const { validateTemplate } = require('./message_template');
+const { parseVariants } = require('./message_variants');
+const mediaAssets = require('./media_assets');
+const { validateFollowerSource } = require('./follower_snapshots');
+const { canStoreSecrets, encryptSecret, decryptSecret } = require('./secrets');
+
+// Persistent schedules and their running cron tasks
+const scheduleStore = createStore(process.env.SCHEDULES_COLLECTION || 'schedules');
+const schedules = new Map();
+const tasks = new Map();
+
+// Injected on init to avoid a circular dependency with the bot and job manager
+let instagramBot = null;
+let jobManager = null;
+
+/**
+ * Build the schedule returned by the API (stored cookies are never exposed)
+ */
+function toPublicSchedule(schedule) {
+    const { cookies, ...publicSchedule } = schedule;
+    return { ...publicSchedule, hasCookies: Boolean(cookies) };
+}
+
+/**
+ * Validate schedule fields; returns an error message or null
+ */
+function validateSchedule(schedule) {
+    if (!schedule.account) {
+        return 'Account username is required';
+    }
+    if (!schedule.cron || !cron.validate(schedule.cron)) {
+        return 'A valid cron expression is required (e.g. "0 */6 * * *")';
+    }
+    if (schedule.timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+        } catch (error) {
+            return `Unknown timezone: ${schedule.timezone}`;
+        }
+    }
+    if (schedule.welcomeMessage) {
+        const templateError = validateTemplate(schedule.welcomeMessage);
+        if (templateError) return templateError;
+    }
+    if (schedule.messageVariants) {
+        const { error } = parseVariants(schedule.messageVariants);
+        if (error) return error;
+    }
+    const missingAssets = (schedule.attachmentIds || []).filter(id => !mediaAssets.getAsset(id));
+    if (missingAssets.length > 0) {
+        return `Unknown attachment assets: ${missingAssets.join(', ')}`;
+    }
+    if (schedule.attachmentPosition && !['before', 'after'].includes(schedule.attachmentPosition)) {
+        return 'attachmentPosition must be one of: before, after';
+    }
+    if (schedule.followerSource) {
+        const sourceError = validateFollowerSource(schedule.followerSource);
+        if (sourceError) return sourceError;
+    }
+    if (!schedule.cookies) {
+        return 'Cookie file upload is required';
+    }
+    return null;
+}
+
+/**
+ * Encrypt uploaded cookies for storage; throws with a `validation` flag when SECRETS_KEY is not configured
+ */
+function encryptCookies(cookies) {
+    if (!canStoreSecrets()) {
+        const error = new Error('Schedules require SECRETS_KEY to be configured on the server, so their cookies can be stored encrypted');
+        error.validation = true;
+        throw error;
+    }
+    return encryptSecret(cookies);
+}
+
+/**
+ * Start (or restart) the cron task for a schedule
+ */
+function startTask(schedule) {
+    stopTask(schedule.id);
+
+    if (!schedule.enabled) return;
+
+    const task = cron.schedule(schedule.cron, () => {
+        runSchedule(schedule.id).catch(error => {
+            console.error(`[Schedule ${schedule.id}] Run failed:`, error);
+        });
+    }, {
+        timezone: schedule.timezone || undefined
+    });
+    tasks.set(schedule.id, task);
+}
+
+/**
+ * Stop the cron task for a schedule, if any
+ */
+function stopTask(scheduleId) {
+    const task = tasks.get(scheduleId);
+    if (task) {
+        task.stop();
+        tasks.delete(scheduleId);
+    }
+}
+
+/**
+ * Persist a schedule
+ */
+async function saveSchedule(schedule) {
+    schedules.set(schedule.id, schedule);
+    await scheduleStore.save(schedule);
+}
+
+/**
+ * Create a job for a schedule, unless the previous run for the account is still active
+ */
+async function runSchedule(scheduleId) {
+    const schedule = schedules.get(scheduleId);
+
+    if (!schedule || !schedule.enabled) return null;
+
+    if (jobManager.hasActiveJob(schedule.account)) {
+        console.log(`[Schedule ${scheduleId}] Previous run for ${schedule.account} is still active, skipping this tick`);
+        schedule.lastSkippedAt = new Date();
+        schedule.skippedRuns = (schedule.skippedRuns || 0) + 1;
+        await saveSchedule(schedule);
+        return null;
+    }
+
+    const jobId = instagramBot.startProcessFollowers({
+        cookieFile: decryptSecret(schedule.cookies),
+        username: schedule.account,
+        welcomeMessage: schedule.welcomeMessage || process.env.WELCOME_MESSAGE || 'Thank you for following us!',
+        headless: schedule.headless !== false,
+        browserlessApiKey: schedule.useBrowserless ? process.env.BROWSERLESS_API_KEY : null,
+        messageVariants: schedule.messageVariants || null,
+        attachmentIds: schedule.attachmentIds || [],
+        attachmentPosition: schedule.attachmentPosition || 'before',
+        followerSource: schedule.followerSource || 'notifications',
+        scheduleId
+    }, jobManager);
+
+    console.log(`[Schedule ${scheduleId}] Created job ${jobId} for ${schedule.account}`);
+    schedule.lastRunAt = new Date();
+    schedule.lastJobId = jobId;
+    await saveSchedule(schedule);
+
+    return jobId;
+}
+
+/**
+ * Load persisted schedules and start their cron tasks
+ */
+async function init(bot, manager) {
+    instagramBot = bot;
+    jobManager = manager;
+
+    const records = await scheduleStore.load();
+    for (const schedule of records) {
+        schedules.set(schedule.id, schedule);
+        startTask(schedule);
+    }
+
+    console.log(`Loaded ${records.length} schedules from ${scheduleStore.backend} store`);
+}
+
+/**
+ * List schedules, optionally for one account
+ */
+function listSchedules({ account } = {}) {
+    const accountFilter = account ? account.toLowerCase() : null;
+
+    return Array.from(schedules.values())
+        .filter(schedule => !accountFilter || schedule.account.toLowerCase() === accountFilter)
+        .sort((a, b) => new Date(a.created) - new Date(b.created))
+        .map(toPublicSchedule);
+}
+
+/**
+ * Get a schedule by ID
+ */
+function getSchedule(scheduleId) {
+    const schedule = schedules.get(scheduleId);
+    return schedule ? toPublicSchedule(schedule) : null;
+}
+
+/**
+ * Create a schedule; throws with a `validation` flag on invalid input
+ */
+async function createSchedule(fields) {
+    const schedule = {
+        id: crypto.randomBytes(12).toString('hex'),
+        account: fields.account,
+        cron: fields.cron,
+        timezone: fields.timezone || null,
+        welcomeMessage: fields.welcomeMessage || null,
+        messageVariants: fields.messageVariants || null,
+        attachmentIds: fields.attachmentIds || [],
+        attachmentPosition: fields.attachmentPosition || 'before',
+        followerSource: fields.followerSource || 'notifications',
+        headless: fields.headless !== false,
+        useBrowserless: Boolean(fields.useBrowserless),
+        enabled: fields.enabled !== false,
+        cookies: fields.cookies,
+        created: new Date(),
+        updated: new Date(),
+        lastRunAt: null,
+        lastJobId: null
+    };
+
+    const validationError = validateSchedule(schedule);
+    if (validationError) {
+        const error = new Error(validationError);
+        error.validation = true;
+        throw error;
+    }
+    schedule.cookies = encryptCookies(schedule.cookies);
+
+    await saveSchedule(schedule);
+    startTask(schedule);
+
+    return toPublicSchedule(schedule);
+}
+
+/**
+ * Update a schedule's fields; returns null if it doesn't exist
+ */
+async function updateSchedule(scheduleId, changes) {
+    const existing = schedules.get(scheduleId);
+
+    if (!existing) return null;
+
+    const updatable = ['account', 'cron', 'timezone', 'welcomeMessage', 'messageVariants', 'attachmentIds', 'attachmentPosition', 'followerSource', 'headless', 'useBrowserless', 'enabled', 'cookies'];
+    const schedule = { ...existing, updated: new Date() };
+    updatable.forEach(key => {
+        if (changes[key] !== undefined) schedule[key] = changes[key];
+    });
+
+    const validationError = validateSchedule(schedule);
+    if (validationError) {
+        const error = new Error(validationError);
+        error.validation = true;
+        throw error;
+    }
+    if (changes.cookies !== undefined) schedule.cookies = encryptCookies(schedule.cookies);
+
+    await saveSchedule(schedule);
+    startTask(schedule);
+
+    return toPublicSchedule(schedule);
+}
+
+/**
+ * Delete a schedule; returns false if it doesn't exist
+ */
+async function deleteSchedule(scheduleId) {
+    if (!schedules.has(scheduleId)) return false;
+
+    stopTask(scheduleId);
+    schedules.delete(scheduleId);
+    await scheduleStore.remove(scheduleId);
+
+    return true;
+}
+
+module.exports = {
+    init,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule
+};
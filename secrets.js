@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Secrets kept in the stores (session cookies, API keys) are encrypted with AES-256-GCM,
+// using a key derived from SECRETS_KEY
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+/**
+ * Get the encryption key, or null when SECRETS_KEY is not configured
+ */
+function getKey() {
+    const secret = process.env.SECRETS_KEY;
+    return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+/**
+ * Check whether secrets can be stored
+ */
+function canStoreSecrets() {
+    return Boolean(getKey());
+}
+
+/**
+ * Encrypt a string or buffer into "v1:<iv>:<tag>:<data>" (base64 parts)
+ */
+function encryptSecret(value) {
+    const key = getKey();
+    if (!key) throw new Error('SECRETS_KEY is not configured');
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8')), cipher.final()]);
+
+    return [FORMAT_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret into a buffer
+ */
+function decryptSecret(encrypted) {
+    const key = getKey();
+    if (!key) throw new Error('SECRETS_KEY is not configured');
+
+    const [version, iv, tag, data] = String(encrypted).split(':');
+    if (version !== FORMAT_VERSION || !iv || !tag || data === undefined) {
+        throw new Error('Unrecognised encrypted secret');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+}
+
+module.exports = {
+    canStoreSecrets,
+    encryptSecret,
+    decryptSecret
+};
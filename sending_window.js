@@ -0,0 +1,80 @@
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ */
+function toMinutes(time) {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Get the local time of day in a timezone
+ */
+function getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = type => Number(parts.find(part => part.type === type).value);
+
+    return {
+        minutes: value('hour') * 60 + value('minute'),
+        seconds: value('second')
+    };
+}
+
+/**
+ * Validate a sending window; returns an error message or null
+ */
+function validateSendingWindow(window) {
+    if (!window.start || !TIME_PATTERN.test(window.start) || !window.end || !TIME_PATTERN.test(window.end)) {
+        return 'sendingWindow.start and sendingWindow.end must be times in HH:MM format';
+    }
+    if (window.start === window.end) {
+        return 'sendingWindow.start and sendingWindow.end must be different';
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: window.timezone || 'UTC' });
+    } catch (error) {
+        return `Unknown timezone: ${window.timezone}`;
+    }
+    return null;
+}
+
+/**
+ * Check whether a date falls inside the sending window (windows may cross midnight)
+ */
+function isWithinWindow(window, date = new Date()) {
+    if (!window) return true;
+
+    const { minutes } = getLocalTime(date, window.timezone || 'UTC');
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    return start < end ?
+        minutes >= start && minutes < end :
+        minutes >= start || minutes < end;
+}
+
+/**
+ * Get when the sending window next opens; returns the date itself when already inside it
+ */
+function getNextWindowStart(window, date = new Date()) {
+    if (isWithinWindow(window, date)) return date;
+
+    const { minutes, seconds } = getLocalTime(date, window.timezone || 'UTC');
+    const minutesUntilStart = (toMinutes(window.start) - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+    return new Date(date.getTime() + minutesUntilStart * 60000 - seconds * 1000 - date.getMilliseconds());
+}
+
+module.exports = {
+    validateSendingWindow,
+    isWithinWindow,
+    getNextWindowStart
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Storage settings
+const mongoUri = process.env.MONGODB_URI;
+const dbName = process.env.DB_NAME || 'instagram_bot';
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+// File store writes are batched: saves within this window end up in one write of the file
+const fileWriteDelayMs = Number(process.env.FILE_STORE_WRITE_DELAY_MS) || 1000;
+
+// Matches ISO date strings written by JSON.stringify(new Date())
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+let mongoClientPromise = null;
+
+/**
+ * Get the configured storage backend: memory, file or mongodb
+ */
+function getBackend() {
+    if (process.env.STORE_BACKEND) {
+        return process.env.STORE_BACKEND.toLowerCase();
+    }
+    return mongoUri ? 'mongodb' : 'file';
+}
+
+/**
+ * Get a shared MongoDB database handle, connecting on first use
+ */
+async function getMongoDb() {
+    if (!mongoClientPromise) {
+        const client = new MongoClient(mongoUri);
+        mongoClientPromise = client.connect()
+            .then(() => {
+                console.log('Connected to MongoDB (store)');
+                return client;
+            })
+            .catch(error => {
+                mongoClientPromise = null;
+                throw error;
+            });
+    }
+
+    const client = await mongoClientPromise;
+    return client.db(dbName);
+}
+
+/**
+ * In-memory store, used when persistence is disabled
+ */
+function createMemoryStore() {
+    const docs = new Map();
+
+    return {
+        backend: 'memory',
+        async load() {
+            return Array.from(docs.values());
+        },
+        async save(doc) {
+            docs.set(doc.id, doc);
+        },
+        async remove(id) {
+            docs.delete(id);
+        }
+    };
+}
+
+/**
+ * JSON file store, one file per collection in DATA_DIR
+ */
+function createFileStore(name) {
+    const filePath = path.join(dataDir, `${name}.json`);
+    let docs = null;
+
+    function readFile() {
+        if (docs) return docs;
+
+        docs = new Map();
+        try {
+            if (fs.existsSync(filePath)) {
+                const records = JSON.parse(fs.readFileSync(filePath, 'utf8'), (key, value) => {
+                    return typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value;
+                });
+                records.forEach(record => docs.set(record.id, record));
+            }
+        } catch (error) {
+            console.error(`Error reading store file ${filePath}:`, error);
+        }
+        return docs;
+    }
+
+    let writeTimer = null;
+    let writing = Promise.resolve();
+
+    function serialize() {
+        return JSON.stringify(Array.from(docs.values()));
+    }
+
+    async function writeFile() {
+        await fs.promises.mkdir(dataDir, { recursive: true });
+        // Write to a temp file first so a crash never leaves a truncated store
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, serialize());
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    /**
+     * Write the whole file after the batching delay; saves made meanwhile are part of the same write
+     */
+    function scheduleWrite() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(() => {
+            writeTimer = null;
+            // Writes never overlap, so the file always ends with the latest state
+            writing = writing
+                .then(writeFile)
+                .catch(error => console.error(`Error writing store file ${filePath}:`, error));
+        }, fileWriteDelayMs);
+        // Pending writes don't keep the process alive, the exit handler below flushes them
+        writeTimer.unref();
+    }
+
+    // A write still waiting for its batch when the process exits is done synchronously
+    process.on('exit', () => {
+        if (!writeTimer) return;
+        clearTimeout(writeTimer);
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(filePath, serialize());
+    });
+
+    if (process.env.DYNO) {
+        console.warn(`File store ${filePath} is on Heroku's ephemeral filesystem and is lost on every dyno restart, set MONGODB_URI to keep ${name}`);
+    }
+
+    return {
+        backend: 'file',
+        async load() {
+            return Array.from(readFile().values());
+        },
+        async save(doc) {
+            readFile().set(doc.id, doc);
+            scheduleWrite();
+        },
+        async remove(id) {
+            if (readFile().delete(id)) scheduleWrite();
+        }
+    };
+}
+
+/**
+ * MongoDB store, one collection per store name
+ */
+function createMongoStore(name) {
+    async function getCollection() {
+        const db = await getMongoDb();
+        return db.collection(name);
+    }
+
+    return {
+        backend: 'mongodb',
+        async load() {
+            const collection = await getCollection();
+            const records = await collection.find({}).toArray();
+            return records.map(({ _id, ...record }) => ({ ...record, id: _id }));
+        },
+        async save(doc) {
+            const collection = await getCollection();
+            const { id, ...record } = doc;
+            await collection.replaceOne({ _id: id }, record, { upsert: true });
+        },
+        async remove(id) {
+            const collection = await getCollection();
+            await collection.deleteOne({ _id: id });
+        }
+    };
+}
+
+/**
+ * Create a document store for the given collection name using the configured backend
+ */
+function createStore(name) {
+    const backend = getBackend();
+
+    if (backend === 'mongodb') {
+        if (!mongoUri) {
+            console.warn(`STORE_BACKEND is mongodb but no MONGODB_URI is set, using file store for ${name}`);
+            return createFileStore(name);
+        }
+        return createMongoStore(name);
+    }
+    if (backend === 'memory') {
+        return createMemoryStore();
+    }
+    return createFileStore(name);
+}
+
+module.exports = {
+    createStore,
+    getMongoDb
+};
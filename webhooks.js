@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Webhook settings
+const webhookSecret = process.env.WEBHOOK_SECRET;
+const maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const retryBaseMs = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 2000;
+const requestTimeoutMs = 10000;
+
+/**
+ * Validate a callback URL; returns an error message or null
+ */
+function validateCallbackUrl(callbackUrl) {
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch (error) {
+        return 'callbackUrl must be a valid URL';
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return 'callbackUrl must use http or https';
+    }
+    if (!webhookSecret) {
+        return 'Webhook callbacks require WEBHOOK_SECRET to be configured on the server';
+    }
+    return null;
+}
+
+/**
+ * Sign a payload: HMAC-SHA256 over "<timestamp>.<body>" with the webhook secret
+ */
+function signPayload(timestamp, body) {
+    return crypto
+        .createHmac('sha256', webhookSecret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+}
+
+/**
+ * Map a job event to the webhook event name, or null if it should not be delivered
+ */
+function getWebhookEventName(event, perUser) {
+    const status = event.type === 'status' ? event.data.status : event.type;
+
+    if (status === 'completed') return 'job.completed';
+    if (status === 'failed') return 'job.failed';
+    if (status === 'cancelled') return 'job.cancelled';
+    if (status === 'deferred') return 'job.deferred';
+    if (perUser && event.type === 'processed_user') return 'job.user_processed';
+    return null;
+}
+
+/**
+ * POST a signed payload, retrying with exponential backoff and logging every attempt on the job
+ */
+async function deliverWebhook(jobManager, jobId, callbackUrl, eventName, payload) {
+    const deliveryId = crypto.randomBytes(8).toString('hex');
+    const body = JSON.stringify({ ...payload, event: eventName, deliveryId });
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const delivery = {
+            deliveryId,
+            event: eventName,
+            url: callbackUrl,
+            attempt,
+            timestamp: new Date()
+        };
+
+        try {
+            const response = await axios.post(callbackUrl, body, {
+                timeout: requestTimeoutMs,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Autowelcome-Event': eventName,
+                    'X-Autowelcome-Delivery': deliveryId,
+                    'X-Autowelcome-Timestamp': timestamp,
+                    'X-Autowelcome-Signature': `sha256=${signPayload(timestamp, body)}`
+                }
+            });
+
+            jobManager.addWebhookDelivery(jobId, { ...delivery, status: 'delivered', statusCode: response.status });
+            console.log(`[Job ${jobId}] Webhook ${eventName} delivered to ${callbackUrl}`);
+            return true;
+        } catch (error) {
+            const statusCode = error.response ? error.response.status : null;
+            const willRetry = attempt < maxAttempts;
+
+            jobManager.addWebhookDelivery(jobId, {
+                ...delivery,
+                status: willRetry ? 'retrying' : 'failed',
+                statusCode,
+                error: error.message
+            });
+            console.error(`[Job ${jobId}] Webhook ${eventName} attempt ${attempt}/${maxAttempts} failed:`, error.message);
+
+            if (willRetry) {
+                await new Promise(resolve => setTimeout(resolve, retryBaseMs * Math.pow(2, attempt - 1)));
+            }
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Deliver webhooks for jobs created with a callbackUrl
+ */
+function attachWebhooks(jobManager) {
+    return jobManager.onJobEvent(event => {
+        const job = jobManager.getJob(event.jobId);
+        const params = job && job.params;
+
+        if (!params || !params.callbackUrl) return;
+
+        const eventName = getWebhookEventName(event, params.callbackPerUser);
+        if (!eventName) return;
+
+        // Each final event is delivered once per run, so a deferred job that gets cancelled still reports it
+        if (eventName !== 'job.user_processed' && !jobManager.claimWebhookEvent(job.id, eventName)) return;
+
+        const payload = {
+            timestamp: event.timestamp,
+            job: event.job,
+            data: event.data
+        };
+
+        // Final events carry the full results so the receiver doesn't need to poll
+        if (eventName !== 'job.user_processed') {
+            payload.processedUsers = job.processedUsers;
+            payload.failedUsers = job.failedUsers;
+        }
+
+        deliverWebhook(jobManager, job.id, params.callbackUrl, eventName, payload)
+            .catch(error => console.error(`[Job ${job.id}] Webhook delivery error:`, error));
+    });
+}
+
+module.exports = {
+    validateCallbackUrl,
+    attachWebhooks
+};